@@ -0,0 +1,59 @@
+-- 001 (Postgres): initial schema
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+  last_login_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS otps (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  salt TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+  last_sent_at TEXT,
+  consumed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_otps_email ON otps(email);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL,
+  salt TEXT NOT NULL,
+  label TEXT,
+  created_at TEXT NOT NULL DEFAULT (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+  revoked_at TEXT,
+  last_used_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, key_prefix)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+CREATE TABLE IF NOT EXISTS usage_daily (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  date_utc TEXT NOT NULL, -- YYYY-MM-DD
+  count INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, date_utc)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_daily_user_date ON usage_daily(user_id, date_utc);
+
+CREATE TABLE IF NOT EXISTS audits (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  type TEXT NOT NULL,
+  details TEXT,
+  created_at TEXT NOT NULL DEFAULT (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
\ No newline at end of file
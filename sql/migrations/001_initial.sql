@@ -1,5 +1,4 @@
--- ROMA Auth Proxy schema
-PRAGMA foreign_keys = ON;
+-- 001: initial schema (as shipped before migrations existed)
 
 CREATE TABLE IF NOT EXISTS users (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
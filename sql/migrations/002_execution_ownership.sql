@@ -0,0 +1,25 @@
+-- 002: ownership of upstream ROMA executions and checkpoints
+
+-- Ownership of upstream ROMA executions (captured from POST /api/v1/executions responses)
+CREATE TABLE IF NOT EXISTS execution_owners (
+  execution_id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  key_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_owners_user ON execution_owners(user_id);
+
+-- Checkpoints seen in an owned execution's checkpoint listing
+CREATE TABLE IF NOT EXISTS checkpoint_owners (
+  checkpoint_id TEXT PRIMARY KEY,
+  execution_id TEXT NOT NULL,
+  user_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  FOREIGN KEY (execution_id) REFERENCES execution_owners(execution_id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkpoint_owners_user ON checkpoint_owners(user_id);
@@ -0,0 +1,3 @@
+-- 003: per-key scopes
+
+ALTER TABLE api_keys ADD COLUMN scopes TEXT; -- space-separated; NULL means unrestricted
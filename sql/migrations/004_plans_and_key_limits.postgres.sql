@@ -0,0 +1,14 @@
+-- 004 (Postgres): plan tiers, per-user and per-key daily limits
+
+ALTER TABLE users ADD COLUMN plan TEXT NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN daily_limit INTEGER; -- per-user override of the plan limit
+ALTER TABLE api_keys ADD COLUMN daily_limit INTEGER; -- optional per-key cap (within the user's limit)
+
+CREATE TABLE IF NOT EXISTS usage_daily_keys (
+  id SERIAL PRIMARY KEY,
+  key_id INTEGER NOT NULL,
+  date_utc TEXT NOT NULL, -- YYYY-MM-DD
+  count INTEGER NOT NULL DEFAULT 0, -- requests
+  FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE,
+  UNIQUE (key_id, date_utc)
+);
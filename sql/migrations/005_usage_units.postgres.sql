@@ -0,0 +1,8 @@
+-- 005 (Postgres): weighted quota units (see config.routeCosts)
+
+ALTER TABLE usage_daily ADD COLUMN units NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE usage_daily_keys ADD COLUMN units NUMERIC NOT NULL DEFAULT 0;
+
+-- Existing rows were charged one unit per request
+UPDATE usage_daily SET units = count;
+UPDATE usage_daily_keys SET units = count;
@@ -0,0 +1,7 @@
+-- 006: admin console (admins, suspensions, audit browsing)
+
+ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN suspended_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_audits_type_created ON audits(type, created_at);
+CREATE INDEX IF NOT EXISTS idx_audits_user_created ON audits(user_id, created_at);
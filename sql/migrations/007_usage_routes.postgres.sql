@@ -0,0 +1,17 @@
+-- 007 (Postgres): per-route usage (route is a template such as /api/v1/executions/{execution_id}/status)
+
+CREATE TABLE IF NOT EXISTS usage_daily_routes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  key_id INTEGER,
+  date_utc TEXT NOT NULL, -- YYYY-MM-DD
+  method TEXT NOT NULL,
+  route TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  units NUMERIC NOT NULL DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE SET NULL,
+  UNIQUE (user_id, key_id, date_utc, method, route)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_daily_routes_user_date ON usage_daily_routes(user_id, date_utc);
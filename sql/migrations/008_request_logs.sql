@@ -0,0 +1,23 @@
+-- 008: one row per proxied request (pruned after config.requestLog.retentionDays)
+
+CREATE TABLE IF NOT EXISTS request_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id TEXT NOT NULL,
+  user_id INTEGER,
+  key_id INTEGER,
+  key_prefix TEXT,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status INTEGER,
+  duration_ms INTEGER,
+  upstream_ms INTEGER,
+  req_bytes INTEGER NOT NULL DEFAULT 0,
+  res_bytes INTEGER NOT NULL DEFAULT 0,
+  upstream_error TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_logs_user_created ON request_logs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_request_logs_created ON request_logs(created_at);
@@ -0,0 +1,8 @@
+-- 009: key expiry and rotation (expires_at NULL = never expires)
+
+ALTER TABLE api_keys ADD COLUMN expires_at TEXT;
+ALTER TABLE api_keys ADD COLUMN expiry_warned_at TEXT;
+-- Set on the old key when it is rotated; it stays valid until expires_at
+ALTER TABLE api_keys ADD COLUMN replaced_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_expires ON api_keys(expires_at);
@@ -0,0 +1,4 @@
+-- 010: per-key usage restrictions (space-separated; NULL means unrestricted)
+
+ALTER TABLE api_keys ADD COLUMN allowed_cidrs TEXT;
+ALTER TABLE api_keys ADD COLUMN allowed_origins TEXT;
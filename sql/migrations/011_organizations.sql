@@ -0,0 +1,59 @@
+-- 011: organizations with members, invites, a shared daily quota pool and org-owned keys
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  plan TEXT, -- NULL uses DEFAULT_PLAN
+  daily_limit INTEGER, -- optional override of the plan's daily units for the whole org
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now'))
+);
+
+CREATE TABLE IF NOT EXISTS org_members (
+  org_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  role TEXT NOT NULL, -- owner | admin | member
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  PRIMARY KEY (org_id, user_id),
+  FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_members_user ON org_members(user_id);
+
+-- Emailed invites; only a hash of the invite token is stored
+CREATE TABLE IF NOT EXISTS org_invites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  org_id INTEGER NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by INTEGER,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  expires_at TEXT NOT NULL,
+  accepted_at TEXT,
+  revoked_at TEXT,
+  FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_invites_org ON org_invites(org_id);
+
+-- Org pool usage (org-owned keys are charged here instead of usage_daily)
+CREATE TABLE IF NOT EXISTS usage_daily_orgs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  org_id INTEGER NOT NULL,
+  date_utc TEXT NOT NULL, -- YYYY-MM-DD
+  count INTEGER NOT NULL DEFAULT 0,
+  units REAL NOT NULL DEFAULT 0,
+  FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  UNIQUE (org_id, date_utc)
+);
+
+-- Keys with org_id belong to the org; user_id stays the member who created them
+ALTER TABLE api_keys ADD COLUMN org_id INTEGER REFERENCES organizations(id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_org ON api_keys(org_id);
+
+-- Executions and checkpoints created with org keys are shared by the org's keys
+ALTER TABLE execution_owners ADD COLUMN org_id INTEGER;
+ALTER TABLE checkpoint_owners ADD COLUMN org_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_execution_owners_org ON execution_owners(org_id);
@@ -0,0 +1,18 @@
+-- 012: per-user email locale, daily quota warning marker and known login IPs
+
+-- Language for transactional emails (NULL uses the default locale)
+ALTER TABLE users ADD COLUMN locale TEXT;
+
+-- UTC date (YYYY-MM-DD) the quota warning was last sent; at most one per day
+ALTER TABLE users ADD COLUMN quota_warned_on TEXT;
+ALTER TABLE organizations ADD COLUMN quota_warned_on TEXT;
+
+-- IPs a user has signed in from; a login from an IP not listed here triggers an alert
+CREATE TABLE IF NOT EXISTS user_login_ips (
+  user_id INTEGER NOT NULL,
+  ip TEXT NOT NULL,
+  first_seen_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  last_seen_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  PRIMARY KEY (user_id, ip),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
\ No newline at end of file
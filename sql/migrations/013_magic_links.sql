@@ -0,0 +1,10 @@
+-- 013: one-click sign-in links sent alongside OTP codes
+
+-- sha256 of the link token; the link shares the OTP row, so using either the code or the link consumes it
+ALTER TABLE otps ADD COLUMN link_hash TEXT;
+-- Where the link signs the user in to (already normalized)
+ALTER TABLE otps ADD COLUMN next_path TEXT;
+-- sha256 of the requesting browser's login_nonce cookie when MAGIC_LINK_BIND_BROWSER is on
+ALTER TABLE otps ADD COLUMN browser_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_otps_link_hash ON otps(link_hash);
\ No newline at end of file
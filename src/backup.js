@@ -0,0 +1,184 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { exportDb, DB_PATH } = require('./db');
+const { flushWrites } = require('./models/writeBuffer');
+const { listMigrations } = require('./migrate');
+
+const SNAPSHOT_PATTERN = /^roma-(\d{8}T\d{6}Z)\.sqlite$/;
+
+// Tables every restorable database must have (the 001 schema)
+const REQUIRED_TABLES = ['users', 'otps', 'api_keys', 'usage_daily', 'audits'];
+
+let timer = null;
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// 2026-10-19T04:12:43.920Z -> 20261019T041243Z
+function snapshotStamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// Write to a temp file and rename so readers never see a partial file
+function writeFileAtomic(filePath, buffer) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  try {
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, buffer);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch (_) {}
+    throw err;
+  }
+}
+
+/**
+ * Consistent SQLite image of the live database, including rows still in the
+ * write buffer. Not available for the Postgres backend (use pg_dump).
+ */
+async function exportSnapshot() {
+  await flushWrites();
+  return exportDb();
+}
+
+// Snapshots in the backup directory, newest first: [{ file, path, size, createdAt }]
+function listSnapshots(dir = config.backup.dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => SNAPSHOT_PATTERN.test(f))
+    .sort()
+    .reverse()
+    .map((f) => {
+      const full = path.join(dir, f);
+      const stat = fs.statSync(full);
+      return { file: f, path: full, size: stat.size, createdAt: stat.mtime.toISOString() };
+    });
+}
+
+// Delete all but the newest `keep` snapshots; returns the removed file names
+function rotateSnapshots(dir = config.backup.dir, keep = config.backup.keep) {
+  const removed = [];
+  for (const s of listSnapshots(dir).slice(Math.max(1, keep))) {
+    fs.unlinkSync(s.path);
+    removed.push(s.file);
+  }
+  return removed;
+}
+
+// Write a snapshot into the backup directory and apply rotation; returns its path
+async function createSnapshot(dir = config.backup.dir) {
+  ensureDir(dir);
+  const filePath = path.join(dir, `roma-${snapshotStamp()}.sqlite`);
+  writeFileAtomic(filePath, await exportSnapshot());
+  rotateSnapshots(dir);
+  return filePath;
+}
+
+/**
+ * Check that a buffer is an intact ROMA proxy database before it is restored:
+ * SQLite integrity check, the core tables, and no migrations newer than this code.
+ * Returns { ok, errors, version }.
+ */
+async function validateSnapshot(buffer) {
+  const errors = [];
+  let initSqlJs = require('sql.js');
+  if (initSqlJs && initSqlJs.default) initSqlJs = initSqlJs.default;
+  const wasmDir = path.dirname(require.resolve('sql.js/dist/sql-wasm.wasm'));
+  const SQL = await initSqlJs({ locateFile: (file) => path.join(wasmDir, file) });
+
+  let db = null;
+  try {
+    db = new SQL.Database(buffer);
+    const check = db.exec('PRAGMA integrity_check');
+    const result = check.length ? String(check[0].values[0][0]) : 'no result';
+    if (result !== 'ok') errors.push(`integrity_check: ${result}`);
+
+    const tables = new Set(
+      (db.exec("SELECT name FROM sqlite_master WHERE type = 'table'")[0] || { values: [] }).values.map((r) => r[0])
+    );
+    for (const t of REQUIRED_TABLES) {
+      if (!tables.has(t)) errors.push(`missing table ${t}`);
+    }
+
+    let version = tables.has('users') ? 1 : 0;
+    if (tables.has('schema_migrations')) {
+      const row = db.exec('SELECT MAX(version) FROM schema_migrations')[0];
+      version = row && row.values[0][0] !== null ? Number(row.values[0][0]) : version;
+    }
+    const known = listMigrations('sqlite');
+    const latest = known.length ? known[known.length - 1].version : 0;
+    if (version > latest) errors.push(`schema version ${version} is newer than this release (${latest})`);
+
+    return { ok: errors.length === 0, errors, version };
+  } catch (err) {
+    return { ok: false, errors: [`not a SQLite database: ${err.message}`], version: null };
+  } finally {
+    if (db) db.close();
+  }
+}
+
+/**
+ * Replace the database file with a snapshot (server must be stopped). The
+ * current file is kept as <db>.pre-restore-<stamp>. Older snapshots are
+ * migrated at the next startup.
+ */
+async function restoreSnapshot(snapshotPath) {
+  if (config.db.driver === 'postgres') {
+    throw new Error('Restore is not supported for Postgres; use pg_restore');
+  }
+  const buffer = fs.readFileSync(snapshotPath);
+  const validation = await validateSnapshot(buffer);
+  if (!validation.ok) {
+    throw new Error(`Snapshot rejected: ${validation.errors.join('; ')}`);
+  }
+
+  let previous = null;
+  if (fs.existsSync(DB_PATH)) {
+    previous = `${DB_PATH}.pre-restore-${snapshotStamp()}`;
+    fs.copyFileSync(DB_PATH, previous);
+  }
+  ensureDir(path.dirname(DB_PATH));
+  writeFileAtomic(DB_PATH, buffer);
+  // A WAL left over from the replaced database must not be replayed into the restored one
+  for (const suffix of ['-wal', '-shm']) {
+    try { fs.unlinkSync(`${DB_PATH}${suffix}`); } catch (_) {}
+  }
+  return { restored: DB_PATH, previous, version: validation.version };
+}
+
+// Snapshot every BACKUP_INTERVAL_MINUTES (0 disables); failures are logged, not fatal
+function startBackupSchedule() {
+  if (timer || config.backup.intervalMinutes <= 0 || config.db.driver === 'postgres') return;
+  timer = setInterval(() => {
+    createSnapshot()
+      .then((file) => console.log(`Database snapshot written to ${file}`))
+      .catch((err) => console.error('Scheduled snapshot failed:', err && err.message));
+  }, config.backup.intervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stopBackupSchedule() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  snapshotStamp,
+  exportSnapshot,
+  listSnapshots,
+  rotateSnapshots,
+  createSnapshot,
+  validateSnapshot,
+  restoreSnapshot,
+  startBackupSchedule,
+  stopBackupSchedule
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+'use strict';
+
+// Maintenance commands: node src/cli.js <command>
+const { initDb, closeDb } = require('./db');
+
+const USAGE = `Usage: node src/cli.js <command>
+
+Commands:
+  migrate:status          List migrations and whether they are applied
+  migrate                 Apply pending migrations
+  backup:create           Write a snapshot to BACKUP_DIR (with rotation)
+  backup:list             List snapshots in BACKUP_DIR
+  backup:restore <file>   Validate a snapshot and swap it in (stop the server first)`;
+
+function pad(s, n) {
+  return String(s).padEnd(n);
+}
+
+async function migrateStatus() {
+  await initDb({ migrate: false });
+  const { migrationStatus } = require('./migrate');
+  const rows = await migrationStatus();
+  const width = Math.max(4, ...rows.map((r) => r.name.length));
+  console.log(`${pad('MIGRATION', width)}  ${pad('STATE', 8)}  APPLIED AT`);
+  for (const r of rows) {
+    console.log(`${pad(r.name, width)}  ${pad(r.state, 8)}  ${r.appliedAt || '-'}`);
+  }
+  const pending = rows.filter((r) => r.state === 'pending').length;
+  console.log(pending ? `\n${pending} pending migration(s)` : '\nDatabase is up to date');
+}
+
+async function migrate() {
+  await initDb({ migrate: false });
+  const { applyPendingMigrations } = require('./migrate');
+  const applied = await applyPendingMigrations();
+  if (applied.length === 0) console.log('No pending migrations');
+}
+
+async function backupCreate() {
+  await initDb();
+  const { createSnapshot } = require('./backup');
+  console.log(`Snapshot written to ${await createSnapshot()}`);
+}
+
+async function backupList() {
+  const { listSnapshots } = require('./backup');
+  const rows = listSnapshots();
+  if (rows.length === 0) {
+    console.log('No snapshots found');
+    return;
+  }
+  for (const r of rows) {
+    console.log(`${r.file}  ${String(r.size).padStart(10)} bytes  ${r.createdAt}`);
+  }
+}
+
+async function backupRestore(args) {
+  if (!args[0]) throw new Error('Usage: node src/cli.js backup:restore <file>');
+  const { restoreSnapshot } = require('./backup');
+  const result = await restoreSnapshot(args[0]);
+  console.log(`Restored ${args[0]} (schema version ${result.version}) to ${result.restored}`);
+  if (result.previous) console.log(`Previous database kept at ${result.previous}`);
+  console.log('Pending migrations are applied at the next start');
+}
+
+const COMMANDS = {
+  'migrate:status': migrateStatus,
+  migrate,
+  'backup:create': backupCreate,
+  'backup:list': backupList,
+  'backup:restore': backupRestore
+};
+
+async function main(argv) {
+  const command = COMMANDS[argv[0]];
+  if (!command) {
+    console.error(USAGE);
+    return 1;
+  }
+  await command(argv.slice(1));
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(async (code) => {
+    await closeDb();
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
\ No newline at end of file
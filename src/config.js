@@ -15,6 +15,93 @@ function toInt(val, defaultInt) {
   return Number.isFinite(n) ? n : defaultInt;
 }
 
+function toBool(val, defaultBool) {
+  if (val === undefined || val === null || val === '') return defaultBool;
+  return ['1', 'true', 'yes', 'on'].includes(String(val).trim().toLowerCase());
+}
+
+// Parse "free:50,pro:1000" into { free: 50, pro: 1000 }
+function parsePlanLimits(val, defaults) {
+  const plans = Object.assign({}, defaults);
+  if (!val) return plans;
+  for (const part of String(val).split(',')) {
+    const [name, limit] = part.split(':').map((x) => (x || '').trim());
+    if (!name) continue;
+    plans[name.toLowerCase()] = toInt(limit, 0);
+  }
+  return plans;
+}
+
+function toNumber(val, defaultNum) {
+  const n = parseFloat(val);
+  return Number.isFinite(n) ? n : defaultNum;
+}
+
+// Placeholder values copied from .env.example count as unset
+function isPlaceholderToken(token) {
+  const t = String(token || '').trim();
+  return t.length === 0 || t.toLowerCase().includes('your_mailtrap') || t === '<YOUR-TOKEN-HERE>';
+}
+
+// EMAIL_TRANSPORT default: Mailtrap when a token is set, otherwise log-only debug outside production
+function defaultEmailTransport() {
+  if (!isPlaceholderToken(getEnv('MAILTRAP_TOKEN', ''))) return 'mailtrap';
+  return getEnv('NODE_ENV', 'production') === 'production' ? 'mailtrap' : 'debug';
+}
+
+// Parse "example.com,@corp.example" into lowercase domains without a leading @
+function parseDomains(val) {
+  return String(val || '').split(',').map((d) => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+}
+
+// Built-in SSO presets; any other name is a generic OIDC provider that needs OIDC_<NAME>_ISSUER
+const OIDC_PRESETS = {
+  google: { type: 'oidc', label: 'Google', issuer: 'https://accounts.google.com', scopes: 'openid email profile' },
+  github: {
+    type: 'github',
+    label: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    apiBase: 'https://api.github.com',
+    scopes: 'read:user user:email'
+  }
+};
+
+// Parse OIDC_PROVIDERS="google,github,corp" plus OIDC_<NAME>_* settings into { name: provider }
+function parseOidcProviders(val) {
+  const allowedDomains = parseDomains(getEnv('OIDC_ALLOWED_DOMAINS', ''));
+  const providers = {};
+  for (const raw of String(val || '').split(',')) {
+    const name = raw.trim().toLowerCase();
+    if (!name) continue;
+    const env = (key) => getEnv(`OIDC_${name.toUpperCase().replace(/-/g, '_')}_${key}`);
+    const preset = OIDC_PRESETS[name] || { type: 'oidc', label: name, scopes: 'openid email profile' };
+    const domains = env('ALLOWED_DOMAINS');
+    providers[name] = Object.assign({}, preset, {
+      name,
+      label: env('LABEL') || preset.label,
+      issuer: (env('ISSUER') || preset.issuer || '').replace(/\/+$/, ''),
+      clientId: env('CLIENT_ID') || '',
+      clientSecret: env('CLIENT_SECRET') || '',
+      scopes: env('SCOPES') || preset.scopes,
+      allowedDomains: domains !== undefined ? parseDomains(domains) : allowedDomains
+    });
+  }
+  return providers;
+}
+
+// Parse "POST /api/v1/executions=10,GET /health=0" into [{ method, pattern, cost }]
+function parseRouteCosts(val) {
+  const rules = [];
+  if (!val) return rules;
+  for (const part of String(val).split(',')) {
+    const m = part.trim().match(/^([A-Za-z*]+)\s+(\S+)\s*=\s*([0-9.]+)$/);
+    if (!m) continue;
+    rules.push({ method: m[1].toUpperCase(), pattern: m[2], cost: toNumber(m[3], 1) });
+  }
+  return rules;
+}
+
 const config = {
   nodeEnv: getEnv('NODE_ENV', 'production'),
   port: toInt(getEnv('PORT'), 443),
@@ -25,7 +112,12 @@ const config = {
     keyPath: getEnv('HTTPS_KEY_PATH', '')
   },
   internalApiBase: getEnv('INTERNAL_API_BASE', 'http://127.0.0.1:8000'),
-  // Legacy SMTP settings (kept for compatibility; not used with Mailtrap API)
+  // Outgoing email: mailtrap, smtp, outbox (JSON files for tests) or debug (log only; refused in production)
+  email: {
+    transport: getEnv('EMAIL_TRANSPORT', defaultEmailTransport()).toLowerCase(),
+    outboxDir: getEnv('EMAIL_OUTBOX_DIR', path.join(__dirname, '..', 'data', 'outbox'))
+  },
+  // SMTP settings (EMAIL_TRANSPORT=smtp); port 465 uses implicit TLS, others STARTTLS when offered
   smtp: {
     host: getEnv('SMTP_HOST', 'smtp.mailtrap.io'),
     port: toInt(getEnv('SMTP_PORT'), 587),
@@ -40,10 +132,85 @@ const config = {
     senderName: getEnv('MAILTRAP_SENDER_NAME', 'ROMA Auth Proxy')
   },
   jwtSecret: getEnv('JWT_SECRET', 'change-this-in-production'),
-  defaultDailyLimit: toInt(getEnv('DEFAULT_DAILY_LIMIT'), 50)
+  // Only accept emailed sign-in links in the browser that requested them (login_nonce cookie)
+  magicLinkBindBrowser: toBool(getEnv('MAGIC_LINK_BIND_BROWSER'), false),
+  // Storage backend: sqljs (in-memory, file rewritten per transaction), sqlite (file + WAL) or postgres
+  db: {
+    driver: getEnv('DB_DRIVER', 'sqljs').toLowerCase(),
+    path: getEnv('DB_PATH', path.join(__dirname, '..', 'data', 'roma.sqlite')),
+    url: getEnv('DATABASE_URL', ''),
+    busyTimeoutMs: toInt(getEnv('DB_BUSY_TIMEOUT_MS'), 5000),
+    poolSize: toInt(getEnv('DB_POOL_SIZE'), 10) // Postgres connections per process
+  },
+  // Emails with access to /admin (in addition to users.is_admin = 1)
+  adminEmails: getEnv('ADMIN_EMAILS', '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean),
+  defaultDailyLimit: toInt(getEnv('DEFAULT_DAILY_LIMIT'), 50),
+  defaultPlan: getEnv('DEFAULT_PLAN', 'free').toLowerCase(),
+  // Email once a day when a user's (or org's) pool passes this share of its daily limit (0 disables)
+  quotaWarningPercent: toInt(getEnv('QUOTA_WARNING_PERCENT'), 80),
+  // Quota units charged per request; ROUTE_COSTS rules are checked before the defaults.
+  // Patterns: "*" matches one path segment, "**" matches the rest of the path.
+  routeCosts: parseRouteCosts(getEnv('ROUTE_COSTS')).concat([
+    { method: 'GET', pattern: '/health', cost: 0 },
+    { method: 'POST', pattern: '/api/v1/executions', cost: 10 },
+    { method: 'GET', pattern: '/api/v1/executions/*/status', cost: 0.1 }
+  ]),
+  defaultRouteCost: toNumber(getEnv('ROUTE_COST_DEFAULT'), 1),
+  // Per-request log (request_logs table); 0 keeps rows forever
+  requestLog: {
+    retentionDays: toInt(getEnv('REQUEST_LOG_RETENTION_DAYS'), 14)
+  },
+  // Short-window limits in front of the upstream's 60 requests/minute (0 disables a rule)
+  rateLimit: {
+    windowSeconds: toInt(getEnv('RATE_LIMIT_WINDOW_SECONDS'), 60),
+    perKey: toInt(getEnv('RATE_LIMIT_PER_KEY'), 20),
+    perUser: toInt(getEnv('RATE_LIMIT_PER_USER'), 30),
+    global: toInt(getEnv('RATE_LIMIT_GLOBAL'), 60)
+  },
+  // Scheduled SQLite snapshots (sqljs and sqlite backends); interval 0 disables the schedule
+  backup: {
+    dir: getEnv('BACKUP_DIR', path.join(__dirname, '..', 'data', 'backups')),
+    intervalMinutes: toInt(getEnv('BACKUP_INTERVAL_MINUTES'), 60),
+    keep: toInt(getEnv('BACKUP_KEEP'), 24)
+  },
+  // Keys that passed scrypt verification are remembered for ttlSeconds (0 disables the cache)
+  keyCache: {
+    ttlSeconds: toInt(getEnv('KEY_CACHE_TTL_SECONDS'), 60),
+    maxEntries: toInt(getEnv('KEY_CACHE_MAX_ENTRIES'), 10000)
+  },
+  // Owners are emailed once when a key is within warnDays of expiring (0 disables); checked every checkMinutes
+  keyExpiry: {
+    warnDays: toInt(getEnv('KEY_EXPIRY_WARNING_DAYS'), 7),
+    checkMinutes: toInt(getEnv('KEY_EXPIRY_CHECK_MINUTES'), 60)
+  },
+  // How long SIGTERM/SIGINT waits for in-flight requests before closing connections
+  shutdownTimeoutMs: toInt(getEnv('SHUTDOWN_TIMEOUT_MS'), 25000),
+  // Usage counters, key last_used_at and audit rows are buffered in memory and written in batches
+  writeBuffer: {
+    flushMs: toInt(getEnv('WRITE_BUFFER_FLUSH_MS'), 1000), // 0 writes through immediately
+    maxPending: toInt(getEnv('WRITE_BUFFER_MAX_PENDING'), 1000) // flush early once this many rows are queued
+  },
+  // Bearer token for Prometheus scrapes of /metrics (admins can also view it when signed in)
+  metrics: {
+    token: getEnv('METRICS_TOKEN', '')
+  },
+  // Shared secret for signed leaked-key reports (empty disables /webhooks/secret-scanning)
+  secretScanning: {
+    secret: getEnv('SECRET_SCANNING_SECRET', '')
+  }
 };
 
-function validateConfig(cfg) {
+// Daily limits per plan tier; "free" follows DEFAULT_DAILY_LIMIT unless PLAN_LIMITS overrides it
+config.plans = parsePlanLimits(getEnv('PLAN_LIMITS'), {
+  free: config.defaultDailyLimit,
+  pro: 1000
+});
+
+// Single sign-on providers (empty: email OTP only)
+config.oidc = parseOidcProviders(getEnv('OIDC_PROVIDERS', ''));
+
+// TLS problems only; outside production they fall back to plain HTTP
+function validateTlsConfig(cfg) {
   const errors = [];
   if (!cfg.tls.certPath || !cfg.tls.keyPath) {
     errors.push('HTTPS_CERT_PATH and HTTPS_KEY_PATH must be set');
@@ -51,7 +218,12 @@ function validateConfig(cfg) {
     if (!fs.existsSync(cfg.tls.certPath)) errors.push(`TLS cert not found at ${cfg.tls.certPath}`);
     if (!fs.existsSync(cfg.tls.keyPath)) errors.push(`TLS key not found at ${cfg.tls.keyPath}`);
   }
+  return errors;
+}
 
+// Everything else; any of these stops startup
+function validateConfig(cfg) {
+  const errors = [];
   if (!/^https?:\/\//.test(cfg.internalApiBase)) {
     errors.push('INTERNAL_API_BASE must start with http:// or https://');
   }
@@ -60,17 +232,79 @@ function validateConfig(cfg) {
     console.warn('WARNING: Use a strong JWT_SECRET in production');
   }
 
-  if (cfg.nodeEnv === 'production' && (!cfg.mailtrap || !cfg.mailtrap.token)) {
-    console.warn('WARNING: MAILTRAP_TOKEN is not set; OTP emails will use debug mode and will not be delivered.');
+  if (!['mailtrap', 'smtp', 'outbox', 'debug'].includes(cfg.email.transport)) {
+    errors.push('EMAIL_TRANSPORT must be one of mailtrap, smtp, outbox, debug');
+  } else if (cfg.nodeEnv === 'production' && cfg.email.transport === 'debug') {
+    errors.push('EMAIL_TRANSPORT=debug is not allowed in production');
+  } else if (cfg.email.transport === 'mailtrap' && isPlaceholderToken(cfg.mailtrap.token)) {
+    if (cfg.nodeEnv === 'production') errors.push('MAILTRAP_TOKEN is required for EMAIL_TRANSPORT=mailtrap');
+    else console.warn('WARNING: MAILTRAP_TOKEN is not set; emails will fail to send.');
+  }
+
+  if (!['sqljs', 'sqlite', 'postgres'].includes(cfg.db.driver)) {
+    errors.push('DB_DRIVER must be one of sqljs, sqlite, postgres');
+  } else if (cfg.db.driver === 'postgres' && !cfg.db.url) {
+    errors.push('DATABASE_URL is required when DB_DRIVER=postgres');
+  } else if (cfg.db.driver === 'postgres' && !(cfg.db.poolSize > 0)) {
+    errors.push('DB_POOL_SIZE must be positive');
   }
 
   if (cfg.defaultDailyLimit <= 0) {
     errors.push('DEFAULT_DAILY_LIMIT must be positive');
   }
 
+  if (cfg.quotaWarningPercent < 0 || cfg.quotaWarningPercent > 100) {
+    errors.push('QUOTA_WARNING_PERCENT must be between 0 and 100');
+  }
+
+  if (cfg.defaultRouteCost < 0 || cfg.routeCosts.some((r) => !(r.cost >= 0))) {
+    errors.push('ROUTE_COSTS and ROUTE_COST_DEFAULT must not be negative');
+  }
+
+  if (cfg.requestLog.retentionDays < 0) {
+    errors.push('REQUEST_LOG_RETENTION_DAYS must not be negative');
+  }
+
+  if (cfg.writeBuffer.flushMs < 0 || cfg.writeBuffer.maxPending <= 0) {
+    errors.push('WRITE_BUFFER_FLUSH_MS must not be negative and WRITE_BUFFER_MAX_PENDING must be positive');
+  }
+
+  if (cfg.backup.intervalMinutes < 0 || cfg.backup.keep <= 0) {
+    errors.push('BACKUP_INTERVAL_MINUTES must not be negative and BACKUP_KEEP must be positive');
+  }
+
+  if (cfg.keyCache.ttlSeconds < 0 || cfg.keyCache.maxEntries <= 0) {
+    errors.push('KEY_CACHE_TTL_SECONDS must not be negative and KEY_CACHE_MAX_ENTRIES must be positive');
+  }
+
+  if (cfg.keyExpiry.warnDays < 0 || cfg.keyExpiry.checkMinutes <= 0) {
+    errors.push('KEY_EXPIRY_WARNING_DAYS must not be negative and KEY_EXPIRY_CHECK_MINUTES must be positive');
+  }
+
+  if (cfg.rateLimit.windowSeconds <= 0) {
+    errors.push('RATE_LIMIT_WINDOW_SECONDS must be positive');
+  }
+
+  for (const p of Object.values(cfg.oidc || {})) {
+    if (!/^[a-z0-9-]+$/.test(p.name)) errors.push(`OIDC_PROVIDERS: invalid provider name "${p.name}"`);
+    if (!p.clientId) errors.push(`OIDC provider "${p.name}" needs a client id`);
+    if (p.type === 'oidc' && !/^https?:\/\//.test(p.issuer)) errors.push(`OIDC provider "${p.name}" needs an http(s) issuer`);
+    else if (p.type === 'oidc' && cfg.nodeEnv === 'production' && !p.issuer.startsWith('https://')) {
+      errors.push(`OIDC provider "${p.name}" must use an https issuer in production`);
+    }
+  }
+
+  for (const [plan, limit] of Object.entries(cfg.plans || {})) {
+    if (!(limit > 0)) errors.push(`PLAN_LIMITS: limit for plan "${plan}" must be positive`);
+  }
+  if (!cfg.plans || !cfg.plans[cfg.defaultPlan]) {
+    errors.push(`DEFAULT_PLAN "${cfg.defaultPlan}" is not a configured plan`);
+  }
+
   return errors;
 }
 
+const tlsErrors = validateTlsConfig(config);
 const validationErrors = validateConfig(config);
 
 const blockedInternalDocsPaths = new Set(['/openapi.json', '/docs', '/redoc']);
@@ -83,10 +317,20 @@ function isProduction() {
   return config.nodeEnv === 'production';
 }
 
+// Daily limit for a plan name, falling back to the default plan
+function planDailyLimit(plan) {
+  const name = String(plan || '').toLowerCase();
+  if (config.plans[name] > 0) return config.plans[name];
+  return config.plans[config.defaultPlan] || config.defaultDailyLimit;
+}
+
 module.exports = {
   config,
+  tlsErrors,
   validationErrors,
   blockedInternalDocsPaths,
   normalizeInternalPath,
-  isProduction
+  isProduction,
+  isPlaceholderToken,
+  planDailyLimit
 };
\ No newline at end of file
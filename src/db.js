@@ -2,46 +2,52 @@
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+const { createSqlJsBackend } = require('./storage/sqljs');
+const { createSqliteBackend } = require('./storage/sqlite');
+const { createPostgresBackend } = require('./storage/postgres');
 
-let SQL = null;       // sql.js module (once initialized)
-let db = null;        // sql.js Database instance
+let backend = null;   // storage backend (see src/storage)
 let dbReady = null;   // Promise for initialization
 
+// Connection of the transaction the current async context is inside (see transact)
+const txStorage = new AsyncLocalStorage();
+
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const DB_PATH = path.join(DATA_DIR, 'roma.sqlite');
-const SCHEMA_PATH = path.join(__dirname, '..', 'sql', 'schema.sql');
+const DB_PATH = path.resolve(config.db.path);
 
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-async function initDb() {
+function createBackend() {
+  switch (config.db.driver) {
+    case 'sqlite':
+      return createSqliteBackend({ filePath: DB_PATH, busyTimeoutMs: config.db.busyTimeoutMs });
+    case 'postgres':
+      return createPostgresBackend({ url: config.db.url, poolSize: config.db.poolSize });
+    default:
+      return createSqlJsBackend({ filePath: DB_PATH });
+  }
+}
+
+// Open the configured backend and (unless options.migrate is false) apply pending migrations
+async function initDb(options = {}) {
   if (dbReady) return dbReady;
 
   dbReady = (async () => {
-    // Resolve the sql.js initializer and WASM path
-    let initSqlJs = require('sql.js');
-    if (initSqlJs && initSqlJs.default) initSqlJs = initSqlJs.default;
-    const wasmDir = path.dirname(require.resolve('sql.js/dist/sql-wasm.wasm'));
-
-    SQL = await initSqlJs({
-      locateFile: (file) => path.join(wasmDir, file)
-    });
-
-    ensureDir(DATA_DIR);
-
-    if (fs.existsSync(DB_PATH)) {
-      const fileBuffer = fs.readFileSync(DB_PATH);
-      db = new SQL.Database(fileBuffer);
-    } else {
-      db = new SQL.Database();
-      // Apply schema on first run
-      const schemaSql = fs.readFileSync(SCHEMA_PATH, 'utf8');
-      db.exec(schemaSql);
-      saveDb();
+    const candidate = createBackend();
+    if (candidate.dialect === 'sqlite') ensureDir(path.dirname(DB_PATH));
+    await candidate.open();
+    backend = candidate;
+
+    if (options.migrate !== false) {
+      // Required here: migrate.js itself depends on this module
+      await require('./migrate').applyPendingMigrations();
     }
 
-    return db;
+    return backend.handle();
   })().catch((err) => {
     console.error('Database initialization failed:', err);
     throw err;
@@ -50,89 +56,82 @@ async function initDb() {
   return dbReady;
 }
 
+function getBackend() {
+  if (!backend) throw new Error('Database not initialized. Call initDb() first.');
+  return backend;
+}
+
+// Statements inside transact() use the transaction's connection, everything else the backend's
+function connection() {
+  return txStorage.getStore() || getBackend();
+}
+
+// SQL dialect of the configured backend: 'sqlite' or 'postgres'
+function getDialect() {
+  return getBackend().dialect;
+}
+
+function tableExists(name) {
+  return connection().tableExists(name);
+}
+
+function columnExists(table, column) {
+  return connection().columnExists(table, column);
+}
+
+// Underlying driver handle (sql.js Database, better-sqlite3 Database or pg Pool)
 function getDb() {
-  if (!db) throw new Error('Database not initialized. Call initDb() first.');
-  return db;
+  return getBackend().handle();
 }
 
-function saveDb() {
-  if (!db) return;
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  fs.writeFileSync(DB_PATH, buffer);
+// Write the in-memory database to disk (sql.js); other backends persist every statement
+async function saveDb() {
+  if (backend) await backend.save();
+}
+
+// SQLite file image of the whole database (sqljs and sqlite backends)
+function exportDb() {
+  return getBackend().export();
+}
+
+// Close the backend (saving first where needed)
+async function closeDb() {
+  if (!backend) return;
+  const closing = backend;
+  backend = null;
+  dbReady = null;
+  await closing.close();
 }
 
 // Execute raw SQL without parameters (single or multiple statements)
-function exec(sql) {
-  getDb().exec(sql);
-}
-
-// Helpers for prepared statements with positional parameters
-function prepareAndBind(sql, params = []) {
-  const database = getDb();
-  const stmt = database.prepare(sql);
-  try {
-    stmt.bind(params);
-    return stmt;
-  } catch (err) {
-    try { stmt.free(); } catch (_) {}
-    throw err;
-  }
+async function exec(sql) {
+  await connection().exec(sql);
 }
 
 // Run a statement that does not need to return rows (INSERT/UPDATE/DELETE)
-function run(sql, params = []) {
-  const stmt = prepareAndBind(sql, params);
-  try {
-    // step once for statements that do not produce result sets
-    stmt.step();
-  } finally {
-    stmt.free();
-  }
+async function run(sql, params = []) {
+  await connection().run(sql, params);
 }
 
-// Return all rows as array of objects
+// Resolve to all rows as array of objects
 function all(sql, params = []) {
-  const stmt = prepareAndBind(sql, params);
-  try {
-    const rows = [];
-    while (stmt.step()) {
-      const row = stmt.getAsObject();
-      rows.push(row);
-    }
-    return rows;
-  } finally {
-    stmt.free();
-  }
+  return connection().all(sql, params);
 }
 
-// Return first row or null
+// Resolve to the first row or null
 function getOne(sql, params = []) {
-  const stmt = prepareAndBind(sql, params);
-  try {
-    if (stmt.step()) {
-      const row = stmt.getAsObject();
-      return row;
-    }
-    return null;
-  } finally {
-    stmt.free();
-  }
+  return connection().getOne(sql, params);
 }
 
-// Simple transaction helper (saves DB on success)
-function transact(fn) {
-  const database = getDb();
-  database.exec('BEGIN');
-  try {
-    const result = fn();
-    database.exec('COMMIT');
-    saveDb();
-    return result;
-  } catch (err) {
-    try { database.exec('ROLLBACK'); } catch (_) {}
-    throw err;
-  }
+/**
+ * Run async fn in a transaction: committed (and for sql.js saved) when it
+ * resolves, rolled back when it throws. Every db call made while fn runs,
+ * however deep, goes through the transaction; a nested transact joins the
+ * outer one.
+ */
+async function transact(fn) {
+  if (txStorage.getStore()) return fn();
+  return getBackend().transaction((tx) => txStorage.run(tx, fn));
 }
 
 // Time helpers (UTC)
@@ -150,7 +149,12 @@ function toUtcDateStr(d = new Date()) {
 module.exports = {
   initDb,
   getDb,
+  getDialect,
+  tableExists,
+  columnExists,
   saveDb,
+  exportDb,
+  closeDb,
   exec,
   run,
   all,
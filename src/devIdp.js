@@ -0,0 +1,138 @@
+'use strict';
+
+// Local stand-in OIDC provider for development and tests: npm run dev:idp
+// Point the app at it with OIDC_PROVIDERS=dev, OIDC_DEV_ISSUER=http://127.0.0.1:4000,
+// OIDC_DEV_CLIENT_ID=roma-dev and OIDC_DEV_CLIENT_SECRET=dev-secret. Never run it in production.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+if (process.env.NODE_ENV === 'production') {
+  console.error('Refusing to start the dev IdP with NODE_ENV=production');
+  process.exit(1);
+}
+
+const PORT = parseInt(process.env.DEV_IDP_PORT, 10) || 4000;
+const ISSUER = (process.env.DEV_IDP_ISSUER || `http://127.0.0.1:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.DEV_IDP_CLIENT_ID || 'roma-dev';
+const CLIENT_SECRET = process.env.DEV_IDP_CLIENT_SECRET || 'dev-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+// Fresh signing key per run; the app refetches the JWKS when it sees an unknown kid
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const JWK = Object.assign(publicKey.export({ format: 'jwk' }), { kid: KID, use: 'sig', alg: 'RS256' });
+
+// code -> { clientId, redirectUri, challenge, nonce, email, verified, at }; access token -> claims
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function subjectFor(email) {
+  return crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+}
+
+function oauthError(res, status, error, description) {
+  return res.status(status).json({ error, error_description: description });
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => res.json({ keys: [JWK] }));
+
+// Sign-in form: pick any email and whether the IdP vouches for it
+app.get('/authorize', (req, res) => {
+  const q = req.query;
+  if (q.client_id !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (q.response_type !== 'code' || !q.redirect_uri) return res.status(400).send('response_type=code and redirect_uri are required');
+  if (!q.code_challenge || q.code_challenge_method !== 'S256') return res.status(400).send('PKCE (S256) is required');
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map((k) => `<input type="hidden" name="${k}" value="${escapeHtml(q[k])}">`).join('');
+  res.send(`<!doctype html><title>Dev IdP</title><h1>Dev IdP sign-in</h1>
+<form method="POST" action="/authorize">${hidden}
+<p><label>Email <input name="email" type="email" required value="${escapeHtml(q.login_hint)}"></label></p>
+<p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+<p><button name="decision" value="allow">Sign in</button> <button name="decision" value="deny">Cancel</button></p>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const b = req.body;
+  if (b.client_id !== CLIENT_ID || !b.redirect_uri) return res.status(400).send('Invalid request');
+  const target = new URL(b.redirect_uri);
+  if (b.state) target.searchParams.set('state', b.state);
+  if (b.decision === 'deny') {
+    target.searchParams.set('error', 'access_denied');
+    return res.redirect(target.toString());
+  }
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: b.client_id,
+    redirectUri: b.redirect_uri,
+    challenge: b.code_challenge,
+    nonce: b.nonce || null,
+    email: String(b.email || '').trim().toLowerCase(),
+    verified: b.email_verified === 'true',
+    at: Date.now()
+  });
+  target.searchParams.set('code', code);
+  return res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const b = req.body;
+  const grant = codes.get(b.code);
+  codes.delete(b.code);
+  if (b.grant_type !== 'authorization_code' || !grant || Date.now() - grant.at > CODE_TTL_MS) {
+    return oauthError(res, 400, 'invalid_grant', 'Unknown, used or expired code');
+  }
+  if (b.client_id !== grant.clientId || (CLIENT_SECRET && b.client_secret !== CLIENT_SECRET)) {
+    return oauthError(res, 401, 'invalid_client', 'Bad client credentials');
+  }
+  if (b.redirect_uri !== grant.redirectUri) return oauthError(res, 400, 'invalid_grant', 'redirect_uri mismatch');
+  const challenge = crypto.createHash('sha256').update(String(b.code_verifier || '')).digest('base64url');
+  if (challenge !== grant.challenge) return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+
+  const claims = { sub: subjectFor(grant.email), email: grant.email, email_verified: grant.verified };
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, claims);
+  const idToken = jwt.sign(Object.assign({ nonce: grant.nonce || undefined }, claims), privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: grant.clientId,
+    expiresIn: '5m'
+  });
+  return res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const claims = m && accessTokens.get(m[1]);
+  if (!claims) return oauthError(res, 401, 'invalid_token', 'Unknown access token');
+  return res.json(claims);
+});
+
+app.listen(PORT, '127.0.0.1', () => {
+  console.log(`Dev IdP listening on ${ISSUER} (client_id=${CLIENT_ID}, client_secret=${CLIENT_SECRET})`);
+});
\ No newline at end of file
@@ -10,22 +10,53 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
 
-const { config, validationErrors, isProduction } = require('./config');
-const { initDb } = require('./db');
+const { config, tlsErrors, validationErrors, isProduction } = require('./config');
+const { initDb, closeDb } = require('./db');
+const { startWriteBuffer, stopWriteBuffer } = require('./models/writeBuffer');
+const { startBackupSchedule, stopBackupSchedule } = require('./backup');
+const { startExpiryWarnings, stopExpiryWarnings } = require('./keyExpiry');
+const { startRequestLogRetention, stopRequestLogRetention } = require('./models/requestLogs');
 const { getTokenFromReq, verifySessionToken } = require('./utils/jwt');
+const { requestIdMiddleware } = require('./utils/requestId');
 
 // Routers (to be implemented in subsequent steps)
 const authRouter = require('./routes/auth');
 const dashboardRouter = require('./routes/dashboard');
 const keysRouter = require('./routes/keys');
+const orgsRouter = require('./routes/orgs');
+const adminRouter = require('./routes/admin');
+const metricsRouter = require('./routes/metrics');
+const secretScanningRouter = require('./routes/secretScanning');
 const proxyRouter = require('./routes/proxy');
 
+// Requests currently being handled, and whether a shutdown has started
+let inFlight = 0;
+let shuttingDown = false;
+
 function createApp() {
   const app = express();
 
   // Trust reverse proxies (for correct protocol/ips if behind proxy)
   app.set('trust proxy', 1);
 
+  // Count in-flight requests for graceful shutdown; ask clients not to reuse connections once it starts
+  app.use((req, res, next) => {
+    inFlight += 1;
+    let done = false;
+    const finished = () => {
+      if (done) return;
+      done = true;
+      inFlight -= 1;
+    };
+    res.on('finish', finished);
+    res.on('close', finished);
+    if (shuttingDown) res.setHeader('Connection', 'close');
+    next();
+  });
+
+  // Request id (X-Request-Id) for correlation across logs, audits and upstream
+  app.use(requestIdMiddleware);
+
   // Views (EJS)
   app.set('view engine', 'ejs');
   app.set('views', path.join(__dirname, '..', 'views'));
@@ -54,8 +85,12 @@ function createApp() {
     contentSecurityPolicy: false // keep simple for Tailwind CDN and EJS inline
   }));
 
-  // Logging
-  app.use(morgan(isProduction() ? 'combined' : 'dev'));
+  // Logging (request id appended to each line)
+  morgan.token('id', (req) => req.requestId || '-');
+  app.use(morgan(isProduction() ? ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" id=:id' : 'dev'));
+
+  // Leaked-key reports are signed over the raw body, so this is mounted before the body parsers
+  app.use('/webhooks/secret-scanning', secretScanningRouter);
 
   // Body parsing and cookies
   app.use(express.urlencoded({ extended: false }));
@@ -125,6 +160,10 @@ function createApp() {
   app.use('/auth', authRouter);
   app.use('/dashboard', dashboardRouter);
   app.use('/keys', keysRouter);
+  app.use('/orgs', orgsRouter);
+  app.use('/admin', adminRouter);
+  // Prometheus metrics (never forwarded upstream)
+  app.use('/metrics', metricsRouter);
 
   // Catch-all proxy comes last
   app.use(proxyRouter);
@@ -132,12 +171,74 @@ function createApp() {
   return app;
 }
 
+/**
+ * Stop accepting connections, wait for in-flight requests (up to
+ * config.shutdownTimeoutMs), then write buffered rows, save and close the DB.
+ */
+function gracefulShutdown(servers, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received: shutting down (${inFlight} request(s) in flight)`);
+
+  const closed = servers.map((server) => new Promise((resolve) => {
+    server.close(() => resolve());
+    // Keep-alive sockets with no request in progress would hold close() open
+    if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+  }));
+
+  let timer = null;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), config.shutdownTimeoutMs);
+  });
+
+  return Promise.race([Promise.all(closed).then(() => false), timedOut]).then(async (expired) => {
+    clearTimeout(timer);
+    if (expired) {
+      console.warn(`Shutdown timeout after ${config.shutdownTimeoutMs} ms; dropping ${inFlight} request(s) still in flight`);
+      for (const server of servers) {
+        if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+      }
+    }
+    try {
+      stopBackupSchedule();
+      stopExpiryWarnings();
+      stopRequestLogRetention();
+      const written = await stopWriteBuffer();
+      await closeDb();
+      console.log(`Database flushed (${written} buffered row(s) written) and closed`);
+    } catch (err) {
+      console.error('Failed to flush database on shutdown:', err);
+      process.exit(1);
+    }
+    process.exit(0);
+  });
+}
+
+function listen(server, port, message) {
+  server.listen(port, () => console.log(message));
+  return server;
+}
+
 async function start() {
+  if (validationErrors.length > 0) {
+    for (const e of validationErrors) console.error(`Invalid configuration: ${e}`);
+    process.exit(1);
+  }
+
   // Ensure DB exists and schema is applied
   await initDb();
 
+  // Batch hot-path writes (flushed on an interval and on shutdown)
+  startWriteBuffer();
+  // Periodic snapshots to BACKUP_DIR
+  startBackupSchedule();
+  // Email owners about keys that expire soon
+  startExpiryWarnings();
+  // Prune request_logs past REQUEST_LOG_RETENTION_DAYS
+  startRequestLogRetention();
+
   // Decide HTTPS vs HTTP
-  const tlsConfigured = validationErrors.length === 0;
+  const tlsConfigured = tlsErrors.length === 0;
 
   // Prefer HTTPS; allow HTTP fallback in non-production if TLS missing
   let useHttps = tlsConfigured;
@@ -145,7 +246,7 @@ async function start() {
 
   if (!useHttps) {
     if (isProduction()) {
-      console.error('TLS is not properly configured in production:', validationErrors);
+      console.error('TLS is not properly configured in production:', tlsErrors);
       process.exit(1);
     } else {
       // Development fallback
@@ -155,29 +256,38 @@ async function start() {
   }
 
   const app = createApp();
+  const servers = [];
 
   if (useHttps) {
     const key = fs.readFileSync(config.tls.keyPath);
     const cert = fs.readFileSync(config.tls.certPath);
-    https.createServer({ key, cert }, app).listen(port, () => {
-      console.log(`HTTPS server listening on https://0.0.0.0:${port}`);
-    });
+    servers.push(listen(https.createServer({ key, cert }, app), port,
+      `HTTPS server listening on https://0.0.0.0:${port}`));
 
     // Optional HTTP->HTTPS redirect
     if (config.redirectPort) {
-      http.createServer((req, res) => {
+      servers.push(listen(http.createServer((req, res) => {
         const host = req.headers.host || '';
         const targetHost = host.replace(/:\d+$/, `:${port}`);
         const location = `https://${targetHost}${req.url}`;
         res.writeHead(301, { Location: location });
         res.end();
-      }).listen(config.redirectPort, () => {
-        console.log(`HTTP redirect server listening on http://0.0.0.0:${config.redirectPort} -> HTTPS ${port}`);
-      });
+      }), config.redirectPort,
+      `HTTP redirect server listening on http://0.0.0.0:${config.redirectPort} -> HTTPS ${port}`));
     }
   } else {
-    http.createServer(app).listen(port, () => {
-      console.log(`HTTP server listening on http://0.0.0.0:${port}`);
+    servers.push(listen(http.createServer(app), port,
+      `HTTP server listening on http://0.0.0.0:${port}`));
+  }
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      // A second signal skips the wait
+      if (shuttingDown) {
+        console.warn(`${signal} received again: exiting without waiting`);
+        process.exit(1);
+      }
+      gracefulShutdown(servers, signal);
     });
   }
 }
@@ -0,0 +1,62 @@
+'use strict';
+
+const { config } = require('./config');
+const { listKeysExpiringBefore, markExpiryWarned } = require('./models/apiKeys');
+const { logAudit } = require('./models/audits');
+const { sendKeyExpiryEmail } = require('./utils/email');
+
+let timer = null;
+let running = false;
+
+/**
+ * Email each owner once about keys expiring within KEY_EXPIRY_WARNING_DAYS.
+ * Keys are only marked as warned after the email was accepted, so failures retry on the next run.
+ * Returns the number of keys warned about.
+ */
+async function sendExpiryWarnings() {
+  if (running || config.keyExpiry.warnDays <= 0) return 0;
+  running = true;
+  try {
+    const before = new Date(Date.now() + config.keyExpiry.warnDays * 24 * 60 * 60 * 1000).toISOString();
+    const byUser = new Map();
+    for (const k of await listKeysExpiringBefore(before)) {
+      if (!byUser.has(k.user_id)) byUser.set(k.user_id, { email: k.email, keys: [] });
+      byUser.get(k.user_id).keys.push(k);
+    }
+
+    let warned = 0;
+    for (const [userId, { email, keys }] of byUser) {
+      const result = await sendKeyExpiryEmail(email, keys);
+      if (!result.ok) continue;
+      await markExpiryWarned(keys.map((k) => k.id));
+      logAudit(userId, 'key_expiry_warning', { prefixes: keys.map((k) => k.prefix), debug: result.debug });
+      warned += keys.length;
+    }
+    return warned;
+  } finally {
+    running = false;
+  }
+}
+
+function runOnce() {
+  sendExpiryWarnings().catch((err) => console.error('Key expiry warnings failed:', err && err.message));
+}
+
+// Check on startup and then every KEY_EXPIRY_CHECK_MINUTES
+function startExpiryWarnings() {
+  if (timer || config.keyExpiry.warnDays <= 0) return;
+  runOnce();
+  timer = setInterval(runOnce, config.keyExpiry.checkMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stopExpiryWarnings() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  sendExpiryWarnings,
+  startExpiryWarnings,
+  stopExpiryWarnings
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+'use strict';
+
+const { isProduction } = require('../config');
+const { listUserOrgs } = require('../models/orgs');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// Dashboard context chosen with the org switcher: an org id, or absent for personal keys
+const ORG_COOKIE = 'org_id';
+
+function setOrgCookie(res, orgId) {
+  res.cookie(ORG_COOKIE, String(orgId), {
+    httpOnly: true,
+    secure: isProduction(),
+    sameSite: 'lax',
+    maxAge: 365 * 24 * 60 * 60 * 1000,
+    path: '/'
+  });
+}
+
+function clearOrgCookie(res) {
+  res.clearCookie(ORG_COOKIE, { httpOnly: true, secure: isProduction(), sameSite: 'lax', path: '/' });
+}
+
+// Middleware (after requireAuth): attaches req.orgs (memberships) and req.org ({ id, name, role } or null)
+const loadOrgContext = asyncHandler(async (req, res, next) => {
+  const orgs = await listUserOrgs(Number(req.user.id));
+  const wanted = Number(req.cookies && req.cookies[ORG_COOKIE]);
+  const org = orgs.find((o) => Number(o.id) === wanted) || null;
+  // Membership ended (removed, left) or the cookie is stale: fall back to personal
+  if (!org && req.cookies && req.cookies[ORG_COOKIE]) clearOrgCookie(res);
+  req.orgs = orgs;
+  req.org = org;
+  res.locals.orgs = orgs;
+  res.locals.currentOrg = org;
+  return next();
+});
+
+module.exports = {
+  setOrgCookie,
+  clearOrgCookie,
+  loadOrgContext
+};
\ No newline at end of file
@@ -1,5 +1,8 @@
 'use strict';
 
+const { getUserById, isAdminUser } = require('../models/users');
+const { asyncHandler } = require('../utils/asyncHandler');
+
 // Middleware: require authenticated dashboard session
 function requireAuth(req, res, next) {
   if (req.user) return next();
@@ -7,6 +10,18 @@ function requireAuth(req, res, next) {
   return res.redirect(`/auth/login?next=${nextUrl}`);
 }
 
+// Middleware: require an admin session (users.is_admin or ADMIN_EMAILS); attaches req.adminUser
+const requireAdmin = asyncHandler(async (req, res, next) => {
+  if (!req.user) return requireAuth(req, res, next);
+  const user = await getUserById(req.user.id);
+  if (!isAdminUser(user)) {
+    return res.status(403).send('Forbidden');
+  }
+  req.adminUser = user;
+  res.locals.isAdmin = true;
+  return next();
+});
+
 // Middleware: basic double-submit CSRF validation for mutating requests
 function verifyCsrf(req, res, next) {
   const method = (req.method || 'GET').toUpperCase();
@@ -24,5 +39,6 @@ function verifyCsrf(req, res, next) {
 
 module.exports = {
   requireAuth,
+  requireAdmin,
   verifyCsrf
 };
\ No newline at end of file
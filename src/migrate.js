@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { exec, run, all, getOne, transact, getDialect, tableExists, columnExists, nowUtc } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'sql', 'migrations');
+
+// Arbitrary constant for the Postgres advisory lock held while a migration runs
+const PG_MIGRATION_LOCK = 7412001;
+
+/**
+ * Up-scripts in sql/migrations named NNN_name.sql. A NNN_name.<dialect>.sql
+ * file (e.g. 004_plans.postgres.sql) replaces the generic one for that dialect.
+ */
+function listMigrations(dialect = getDialect()) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const m = file.match(/^(\d+)_([a-z0-9_]+?)(?:\.(sqlite|postgres))?\.sql$/i);
+    if (!m) continue;
+    const fileDialect = m[3] ? m[3].toLowerCase() : null;
+    if (fileDialect && fileDialect !== dialect) continue;
+    const version = parseInt(m[1], 10);
+    const existing = byVersion.get(version);
+    if (existing && existing.dialect && !fileDialect) continue;
+    byVersion.set(version, { version, name: `${m[1]}_${m[2]}`, file, dialect: fileDialect });
+  }
+  return Array.from(byVersion.values()).sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable() {
+  await exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+function readMigration(m) {
+  return fs.readFileSync(path.join(MIGRATIONS_DIR, m.file), 'utf8');
+}
+
+// Created before migrations existed: tables present but no schema_migrations
+async function isLegacyDatabase() {
+  return !(await tableExists('schema_migrations')) && tableExists('users');
+}
+
+// Tables and columns an up-script adds (CREATE TABLE and ALTER TABLE ... ADD COLUMN)
+function schemaObjects(sql) {
+  const body = sql.replace(/--.*$/gm, '');
+  const objects = [];
+  for (const m of body.matchAll(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/gi)) {
+    objects.push({ table: m[1] });
+  }
+  for (const m of body.matchAll(/ALTER\s+TABLE\s+(\w+)\s+ADD\s+COLUMN\s+(\w+)/gi)) {
+    objects.push({ table: m[1], column: m[2] });
+  }
+  return objects;
+}
+
+/**
+ * Migrations a legacy database already contains. Before the runner existed,
+ * schema.sql was edited in place, so such a database can be at any version:
+ * 001 is assumed, then each later script counts as applied while every table
+ * and column it adds is already there.
+ */
+async function legacyBaseline(migrations = listMigrations()) {
+  const present = migrations.slice(0, 1);
+  for (const m of migrations.slice(1)) {
+    const objects = schemaObjects(readMigration(m));
+    if (objects.length === 0) break;
+    let complete = true;
+    for (const o of objects) {
+      if (!(await (o.column ? columnExists(o.table, o.column) : tableExists(o.table)))) {
+        complete = false;
+        break;
+      }
+    }
+    if (!complete) break;
+    present.push(m);
+  }
+  return present;
+}
+
+async function appliedMigrations() {
+  if (!(await tableExists('schema_migrations'))) {
+    if (!(await isLegacyDatabase())) return [];
+    return (await legacyBaseline()).map((m) => ({ version: m.version, name: m.name, appliedAt: null }));
+  }
+  return (await all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version'))
+    .map((r) => ({ version: Number(r.version), name: r.name, appliedAt: r.applied_at }));
+}
+
+// Applied and pending migrations, plus versions recorded in the DB without a file
+async function migrationStatus() {
+  const applied = new Map((await appliedMigrations()).map((r) => [r.version, r]));
+  const rows = listMigrations().map((m) => {
+    const a = applied.get(m.version);
+    applied.delete(m.version);
+    return { version: m.version, name: m.name, state: a ? 'applied' : 'pending', appliedAt: a ? a.appliedAt : null };
+  });
+  for (const a of applied.values()) {
+    rows.push({ version: a.version, name: a.name, state: 'missing', appliedAt: a.appliedAt });
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction together with
+ * its schema_migrations row. Databases created before migrations existed (users
+ * table but no schema_migrations) are first recorded at the version their
+ * tables and columns match (see legacyBaseline).
+ */
+async function applyPendingMigrations({ log = console.log } = {}) {
+  const migrations = listMigrations();
+  const baseline = (await isLegacyDatabase()) ? await legacyBaseline(migrations) : [];
+  await ensureMigrationsTable();
+  if (baseline.length > 0) {
+    await transact(async () => {
+      for (const m of baseline) {
+        await run(
+          `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)
+           ON CONFLICT (version) DO NOTHING`,
+          [m.version, m.name, nowUtc().toISOString()]
+        );
+      }
+    });
+    log(`Existing database without schema_migrations; recorded ${baseline.map((m) => m.name).join(', ')} as applied`);
+  }
+
+  const applied = [];
+  for (const m of migrations) {
+    const sql = readMigration(m);
+    const startedAt = Date.now();
+    const ran = await transact(async () => {
+      // Another instance may have applied it while we waited for the lock
+      if (getDialect() === 'postgres') await getOne('SELECT pg_advisory_xact_lock(?) AS locked', [PG_MIGRATION_LOCK]);
+      if (await getOne('SELECT version FROM schema_migrations WHERE version = ?', [m.version])) return false;
+      await exec(sql);
+      await run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [m.version, m.name, nowUtc().toISOString()]
+      );
+      return true;
+    });
+    if (ran) {
+      applied.push(m.name);
+      log(`Applied migration ${m.name} (${Date.now() - startedAt} ms)`);
+    }
+  }
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  migrationStatus,
+  applyPendingMigrations
+};
\ No newline at end of file
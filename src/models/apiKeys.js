@@ -1,93 +1,295 @@
 'use strict';
 
 const { run, getOne, all, transact, nowUtc } = require('../db');
-const { generateApiKey, verifyHash } = require('../utils/crypto');
+const { generateApiKey, verifyHashAsync } = require('../utils/crypto');
+const { formatScopes } = require('../utils/scopes');
+const { createKeyCache } = require('../utils/keyCache');
+const metrics = require('../utils/metrics');
+const { config } = require('../config');
 
-// List API keys for a user (without secrets)
-function listKeys(userId) {
-  return all(
-    `SELECT id, key_prefix AS prefix, label, created_at, revoked_at, last_used_at
-     FROM api_keys WHERE user_id = ?
-     ORDER BY created_at DESC`,
+// Recently verified keys, so repeat requests skip scrypt (the key row is still read every time)
+const keyCache = createKeyCache({
+  ttlMs: config.keyCache.ttlSeconds * 1000,
+  maxEntries: config.keyCache.maxEntries
+});
+
+// last_used_at values not yet written: keyId -> ISO timestamp (flushed by models/writeBuffer.js)
+const pendingTouches = new Map();
+
+// Overlay buffered last_used_at on key rows
+function withPendingTouch(row) {
+  if (row && pendingTouches.has(row.id)) row.last_used_at = pendingTouches.get(row.id);
+  return row;
+}
+
+const KEY_LIST_COLUMNS = `k.id, k.key_prefix AS prefix, k.label, k.scopes, k.daily_limit, k.created_at, k.revoked_at,
+            k.last_used_at, k.expires_at, k.replaced_by, k.allowed_cidrs, k.allowed_origins, k.org_id`;
+
+// List a user's personal API keys (without secrets); options.includeOrg also lists org keys they created
+async function listKeys(userId, options = {}) {
+  return (await all(
+    `SELECT ${KEY_LIST_COLUMNS}
+     FROM api_keys k WHERE k.user_id = ?${options.includeOrg ? '' : ' AND k.org_id IS NULL'}
+     ORDER BY k.created_at DESC`,
     [userId]
-  );
+  )).map(withPendingTouch);
 }
 
-// Create a new API key for a user and return the full key once
-function createKey(userId, label = null) {
-  let attempt = 0;
-  let record = null;
-  let fullKey = null;
-
-  transact(() => {
-    while (attempt < 3) {
-      attempt += 1;
-      const { key, prefix, salt, hash } = generateApiKey();
-      try {
-        run(
-          `INSERT INTO api_keys (user_id, key_prefix, key_hash, salt, label)
-           VALUES (?, ?, ?, ?, ?)`,
-          [userId, prefix, hash, salt, label]
-        );
-        // Fetch inserted row id
-        record = getOne(
-          `SELECT id, user_id, key_prefix AS prefix, created_at FROM api_keys
-           WHERE user_id = ? AND key_prefix = ? ORDER BY id DESC LIMIT 1`,
-          [userId, prefix]
-        );
-        fullKey = key;
-        break;
-      } catch (e) {
-        // Likely unique collision on (user_id, key_prefix); retry
-        // If it's another error, rethrow
-        if (!/UNIQUE/i.test(String(e && e.message))) throw e;
-      }
+// List an org's API keys with the email of the member who created each one
+async function listOrgKeys(orgId) {
+  return (await all(
+    `SELECT ${KEY_LIST_COLUMNS}, u.email AS created_by
+     FROM api_keys k JOIN users u ON u.id = k.user_id
+     WHERE k.org_id = ?
+     ORDER BY k.created_at DESC`,
+    [orgId]
+  )).map(withPendingTouch);
+}
+
+// True when the key row has an expires_at that has passed
+function isKeyExpired(row, now = nowUtc()) {
+  return !!(row && row.expires_at && Date.parse(row.expires_at) <= now.getTime());
+}
+
+// Insert a key row (retrying prefix collisions); callers wrap this in transact()
+async function insertKey(userId, fields) {
+  for (let attempt = 1; attempt <= 3; attempt += 1) {
+    const { key, prefix, salt, hash } = generateApiKey();
+    try {
+      await run(
+        `INSERT INTO api_keys (user_id, key_prefix, key_hash, salt, label, scopes, daily_limit, expires_at,
+                               allowed_cidrs, allowed_origins, org_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, prefix, hash, salt, fields.label, fields.scopes, fields.dailyLimit, fields.expiresAt,
+          fields.allowedCidrs || null, fields.allowedOrigins || null, fields.orgId || null]
+      );
+      // Fetch inserted row id
+      const record = await getOne(
+        `SELECT id, user_id, key_prefix AS prefix, created_at FROM api_keys
+         WHERE user_id = ? AND key_prefix = ? ORDER BY id DESC LIMIT 1`,
+        [userId, prefix]
+      );
+      return { record, key };
+    } catch (e) {
+      // Likely unique collision on (user_id, key_prefix); retry
+      // If it's another error, rethrow
+      if (!/UNIQUE/i.test(String(e && e.message))) throw e;
     }
-  });
+  }
+  return null;
+}
+
+// Create a new API key for a user and return the full key once
+// options.scopes: list of scope names; empty/omitted creates an unrestricted key
+// options.dailyLimit: optional per-key daily cap
+// options.expiresAt: optional Date/ISO string after which the key stops working
+// options.orgId: create an org-owned key (charged to the org's quota pool)
+async function createKey(userId, label = null, options = {}) {
+  const scopes = formatScopes(options.scopes);
+  const capNum = Number(options.dailyLimit);
+  const dailyLimit = Number.isFinite(capNum) && capNum > 0 ? Math.floor(capNum) : null;
+  const expiresAt = options.expiresAt ? new Date(options.expiresAt).toISOString() : null;
 
-  if (!record || !fullKey) {
+  const inserted = await transact(() => insertKey(userId, { label, scopes, dailyLimit, expiresAt, orgId: options.orgId }));
+
+  if (!inserted || !inserted.record) {
     return { ok: false, reason: 'failed_to_create' };
   }
-  return { ok: true, id: record.id, key: fullKey, prefix: record.prefix };
+  return {
+    ok: true,
+    id: inserted.record.id,
+    key: inserted.key,
+    prefix: inserted.record.prefix,
+    scopes,
+    dailyLimit,
+    expiresAt,
+    orgId: options.orgId || null
+  };
+}
+
+// Issue a replacement for a key with the same label, scopes, cap, restrictions and lifetime.
+// The old key keeps working for graceMs (never past its own expiry); 0 revokes it now.
+async function rotateKey(userId, keyId, graceMs) {
+  const now = nowUtc();
+  let result = { ok: false, reason: 'not_found' };
+
+  await transact(async () => {
+    const old = await getOne(
+      `SELECT id, key_prefix AS prefix, label, scopes, daily_limit, created_at, revoked_at, expires_at, replaced_by,
+              allowed_cidrs, allowed_origins, org_id
+       FROM api_keys WHERE id = ? AND user_id = ?`,
+      [keyId, userId]
+    );
+    if (!old) return;
+    if (old.revoked_at) { result = { ok: false, reason: 'revoked' }; return; }
+    if (isKeyExpired(old, now)) { result = { ok: false, reason: 'expired' }; return; }
+    if (old.replaced_by) { result = { ok: false, reason: 'already_rotated' }; return; }
+
+    // A key created with a lifetime hands the same lifetime to its replacement
+    let expiresAt = null;
+    if (old.expires_at) {
+      const lifetimeMs = Date.parse(old.expires_at) - Date.parse(old.created_at);
+      if (lifetimeMs > 0) expiresAt = new Date(now.getTime() + lifetimeMs).toISOString();
+    }
+    const inserted = await insertKey(userId, {
+      label: old.label,
+      scopes: old.scopes,
+      dailyLimit: old.daily_limit,
+      expiresAt,
+      allowedCidrs: old.allowed_cidrs,
+      allowedOrigins: old.allowed_origins,
+      orgId: old.org_id
+    });
+    if (!inserted || !inserted.record) { result = { ok: false, reason: 'failed_to_create' }; return; }
+
+    const nowIso = now.toISOString();
+    let oldValidUntil = null;
+    if (graceMs > 0) {
+      const graceEnd = now.getTime() + graceMs;
+      oldValidUntil = new Date(old.expires_at ? Math.min(Date.parse(old.expires_at), graceEnd) : graceEnd).toISOString();
+      await run('UPDATE api_keys SET replaced_by = ?, expires_at = ? WHERE id = ?', [inserted.record.id, oldValidUntil, old.id]);
+    } else {
+      await run('UPDATE api_keys SET replaced_by = ?, revoked_at = ? WHERE id = ?', [inserted.record.id, nowIso, old.id]);
+      keyCache.invalidate(old.id);
+    }
+
+    result = {
+      ok: true,
+      id: inserted.record.id,
+      key: inserted.key,
+      prefix: inserted.record.prefix,
+      scopes: old.scopes || null,
+      dailyLimit: old.daily_limit || null,
+      expiresAt,
+      old: { id: old.id, prefix: old.prefix, validUntil: oldValidUntil }
+    };
+  });
+
+  return result;
 }
 
 // Revoke (delete) an API key (soft-delete by setting revoked_at)
-function revokeKey(userId, keyId) {
+async function revokeKey(userId, keyId) {
   const nowIso = nowUtc().toISOString();
-  transact(() => {
-    run(
+  await transact(async () => {
+    await run(
       `UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
       [nowIso, keyId, userId]
     );
   });
-  const row = getOne(
-    `SELECT id, revoked_at FROM api_keys WHERE id = ? AND user_id = ?`,
+  keyCache.invalidate(Number(keyId));
+  const row = await getOne(
+    `SELECT id, key_prefix AS prefix, revoked_at FROM api_keys WHERE id = ? AND user_id = ?`,
     [keyId, userId]
   );
   if (!row) return { ok: false, reason: 'not_found' };
   if (!row.revoked_at) return { ok: false, reason: 'not_revoked' };
-  return { ok: true };
+  return { ok: true, prefix: row.prefix };
+}
+
+// Revoke the org keys a user created once they leave or are removed from the org (call inside a transaction).
+// Returns the revoked keys as [{ id, prefix }].
+async function revokeMemberOrgKeys(orgId, userId) {
+  const keys = await all(
+    'SELECT id, key_prefix AS prefix FROM api_keys WHERE org_id = ? AND user_id = ? AND revoked_at IS NULL',
+    [orgId, userId]
+  );
+  if (keys.length === 0) return keys;
+  await run('UPDATE api_keys SET revoked_at = ? WHERE org_id = ? AND user_id = ? AND revoked_at IS NULL', [nowUtc().toISOString(), orgId, userId]);
+  for (const k of keys) keyCache.invalidate(Number(k.id));
+  return keys;
+}
+
+// Replace a key's allowed CIDR ranges and Origins (stored forms from utils/keyRestrictions.js; null clears)
+async function updateKeyRestrictions(userId, keyId, allowedCidrs, allowedOrigins) {
+  await transact(async () => {
+    await run(
+      'UPDATE api_keys SET allowed_cidrs = ?, allowed_origins = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [allowedCidrs || null, allowedOrigins || null, keyId, userId]
+    );
+  });
+  const row = await getOne(
+    'SELECT id, key_prefix AS prefix, revoked_at FROM api_keys WHERE id = ? AND user_id = ?',
+    [keyId, userId]
+  );
+  if (!row) return { ok: false, reason: 'not_found' };
+  if (row.revoked_at) return { ok: false, reason: 'revoked' };
+  return { ok: true, prefix: row.prefix };
+}
+
+// Lookup a key by id (without secrets), regardless of owner
+async function getKeyById(keyId) {
+  return withPendingTouch(await getOne(
+    `SELECT id, user_id, key_prefix AS prefix, label, scopes, daily_limit, created_at, revoked_at, last_used_at,
+            expires_at, replaced_by, allowed_cidrs, allowed_origins, org_id
+     FROM api_keys WHERE id = ?`,
+    [keyId]
+  ));
 }
 
-// Update last_used_at for a key
+// Write buffered last_used_at values in one transaction (re-queued on failure). Resolves to rows written.
+async function flushPendingKeyTouches() {
+  if (pendingTouches.size === 0) return 0;
+  const touches = Array.from(pendingTouches.entries());
+  pendingTouches.clear();
+  try {
+    await transact(async () => {
+      for (const [keyId, iso] of touches) {
+        await run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [iso, keyId]);
+      }
+    });
+  } catch (err) {
+    for (const [keyId, iso] of touches) {
+      if (!pendingTouches.has(keyId)) pendingTouches.set(keyId, iso);
+    }
+    throw err;
+  }
+  return touches.length;
+}
+
+// Update last_used_at for a key (buffered; see models/writeBuffer.js)
 function touchKeyUsage(keyId) {
+  pendingTouches.set(keyId, nowUtc().toISOString());
+  if (config.writeBuffer.flushMs <= 0 || pendingTouches.size >= config.writeBuffer.maxPending) {
+    flushPendingKeyTouches().catch((err) => console.error('Failed to write key last_used_at:', err && err.message));
+  }
+}
+
+// Unrevoked, not yet rotated keys expiring between now and `beforeIso` that have not been warned about
+function listKeysExpiringBefore(beforeIso) {
+  return all(
+    `SELECT k.id, k.user_id, k.key_prefix AS prefix, k.label, k.expires_at, u.email
+     FROM api_keys k JOIN users u ON u.id = k.user_id
+     WHERE k.revoked_at IS NULL AND k.replaced_by IS NULL AND k.expiry_warned_at IS NULL
+       AND k.expires_at IS NOT NULL AND k.expires_at > ? AND k.expires_at <= ?
+       AND u.suspended_at IS NULL
+     ORDER BY k.user_id, k.expires_at`,
+    [nowUtc().toISOString(), beforeIso]
+  );
+}
+
+async function markExpiryWarned(keyIds) {
+  if (!keyIds || keyIds.length === 0) return;
   const nowIso = nowUtc().toISOString();
-  run(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [nowIso, keyId]);
+  await transact(async () => {
+    for (const id of keyIds) await run('UPDATE api_keys SET expiry_warned_at = ? WHERE id = ?', [nowIso, id]);
+  });
 }
 
 // Lookup active key row by prefix
 function findActiveByPrefix(prefix) {
   return getOne(
-    `SELECT id, user_id, key_prefix AS prefix, key_hash, salt, revoked_at
-     FROM api_keys
-     WHERE key_prefix = ? AND revoked_at IS NULL
-     ORDER BY id DESC LIMIT 1`,
+    `SELECT k.id, k.user_id, k.key_prefix AS prefix, k.key_hash, k.salt, k.scopes, k.revoked_at,
+            k.expires_at, k.allowed_cidrs, k.allowed_origins, k.org_id, u.suspended_at AS user_suspended_at
+     FROM api_keys k JOIN users u ON u.id = k.user_id
+     WHERE k.key_prefix = ? AND k.revoked_at IS NULL
+     ORDER BY k.id DESC LIMIT 1`,
     [prefix]
   );
 }
 
-// Validate a user-provided full API key string "prefix.secret"
-function validateFullKey(fullKey) {
+// Validate a user-provided full API key string "prefix.secret" (resolves to the result object)
+async function validateFullKey(fullKey) {
   if (typeof fullKey !== 'string' || fullKey.length < 12) {
     return { ok: false, reason: 'format' };
   }
@@ -95,20 +297,47 @@ function validateFullKey(fullKey) {
   if (dotIdx <= 0) return { ok: false, reason: 'format' };
   const prefix = fullKey.slice(0, dotIdx);
 
-  const row = findActiveByPrefix(prefix);
+  const row = await findActiveByPrefix(prefix);
   if (!row) return { ok: false, reason: 'not_found' };
 
-  const valid = verifyHash(fullKey, row.salt, row.key_hash);
-  if (!valid) return { ok: false, reason: 'mismatch' };
+  const cached = keyCache.get(fullKey);
+  let valid = !!cached && cached.keyId === row.id && cached.keyHash === row.key_hash;
+  metrics.keyCacheLookups.inc({ result: valid ? 'hit' : 'miss' });
+  if (!valid) {
+    valid = await verifyHashAsync(fullKey, row.salt, row.key_hash);
+    if (valid) keyCache.set(fullKey, row.id, row.key_hash);
+  }
+  // Failed attempts against a known prefix report the owner so they show up in their activity
+  if (!valid) return { ok: false, reason: 'mismatch', userId: row.user_id, prefix: row.prefix };
+  if (isKeyExpired(row)) return { ok: false, reason: 'expired', keyId: row.id, userId: row.user_id, prefix: row.prefix };
+  if (row.user_suspended_at) return { ok: false, reason: 'suspended', keyId: row.id, userId: row.user_id, prefix: row.prefix };
 
-  return { ok: true, keyId: row.id, userId: row.user_id, prefix: row.prefix };
+  return {
+    ok: true,
+    keyId: row.id,
+    userId: row.user_id,
+    prefix: row.prefix,
+    scopes: row.scopes || null,
+    allowedCidrs: row.allowed_cidrs || null,
+    allowedOrigins: row.allowed_origins || null,
+    orgId: row.org_id || null
+  };
 }
 
 module.exports = {
   listKeys,
+  listOrgKeys,
   createKey,
+  rotateKey,
   revokeKey,
+  revokeMemberOrgKeys,
+  updateKeyRestrictions,
+  isKeyExpired,
+  getKeyById,
   touchKeyUsage,
+  flushPendingKeyTouches,
+  listKeysExpiringBefore,
+  markExpiryWarned,
   findActiveByPrefix,
   validateFullKey
 };
\ No newline at end of file
@@ -1,15 +1,46 @@
 'use strict';
 
-const { run, nowUtc } = require('../db');
+const { run, all, getOne, transact, nowUtc } = require('../db');
+const { config } = require('../config');
+const { currentRequestId } = require('../utils/requestId');
+
+// Audit rows not yet written: [userId, type, details, createdAt] (flushed by models/writeBuffer.js)
+let pendingAudits = [];
+
+// Write buffered audit rows in one transaction (re-queued on failure). Resolves to rows written.
+async function flushPendingAudits() {
+  if (pendingAudits.length === 0) return 0;
+  const rows = pendingAudits;
+  pendingAudits = [];
+  try {
+    await transact(async () => {
+      for (const row of rows) {
+        await run('INSERT INTO audits (user_id, type, details, created_at) VALUES (?, ?, ?, ?)', row);
+      }
+    });
+  } catch (err) {
+    pendingAudits = rows.concat(pendingAudits);
+    throw err;
+  }
+  return rows.length;
+}
 
 /**
  * Write an audit entry.
  * type examples: 'otp_send', 'otp_verify', 'key_create', 'key_revoke', 'proxy_block', 'proxy_hit'
  * details can be an object or string; objects are JSON-stringified.
+ * Object details are stamped with the current request's request_id when there is one.
  */
 function logAudit(userId, type, details = null) {
   if (!type || typeof type !== 'string') return;
 
+  const requestId = currentRequestId();
+  if (requestId && (details === null || details === undefined)) {
+    details = { request_id: requestId };
+  } else if (requestId && typeof details === 'object' && !Array.isArray(details) && !details.request_id) {
+    details = Object.assign({}, details, { request_id: requestId });
+  }
+
   let detailsStr = null;
   if (details !== null && details !== undefined) {
     if (typeof details === 'string') {
@@ -23,12 +54,95 @@ function logAudit(userId, type, details = null) {
     }
   }
 
-  run(
-    'INSERT INTO audits (user_id, type, details) VALUES (?, ?, ?)',
-    [userId || null, type, detailsStr]
+  // Buffered; created_at is taken now so ordering and timestamps are unaffected by the flush delay
+  pendingAudits.push([userId || null, type, detailsStr, nowUtc().toISOString()]);
+  if (config.writeBuffer.flushMs <= 0 || pendingAudits.length >= config.writeBuffer.maxPending) {
+    flushPendingAudits().catch((err) => console.error('Failed to write audit rows:', err && err.message));
+  }
+}
+
+// Build WHERE clause + params for audit filters
+function auditWhere(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.userId) {
+    where.push('a.user_id = ?');
+    params.push(filters.userId);
+  }
+  if (filters.type) {
+    where.push('a.type = ?');
+    params.push(String(filters.type));
+  }
+  if (filters.email) {
+    where.push('lower(u.email) LIKE ?');
+    params.push(`%${String(filters.email).toLowerCase()}%`);
+  }
+  if (filters.from) {
+    // Dates are YYYY-MM-DD (UTC); created_at is an ISO timestamp
+    where.push('a.created_at >= ?');
+    params.push(String(filters.from));
+  }
+  if (filters.to) {
+    // Inclusive end date: any time on that day sorts before "YYYY-MM-DDT99"
+    where.push('a.created_at < ?');
+    params.push(`${String(filters.to)}T99`);
+  }
+  if (filters.prefix) {
+    // Key-related events carry the key prefix in their JSON details
+    where.push('a.details LIKE ?');
+    params.push(`%"prefix":${JSON.stringify(String(filters.prefix))}%`);
+  }
+  if (filters.search) {
+    where.push('a.details LIKE ?');
+    params.push(`%${String(filters.search)}%`);
+  }
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+// Readers see the caller's own recent events even before the interval flush
+async function flushBeforeRead() {
+  try {
+    await flushPendingAudits();
+  } catch (err) {
+    console.error('Failed to write audit rows:', err && err.message);
+  }
+}
+
+/**
+ * Page through audit entries, newest first.
+ * filters: { userId, type, email, prefix, from, to, search }
+ * Returns { rows, total }.
+ */
+async function listAudits(filters = {}, { limit = 50, offset = 0 } = {}) {
+  await flushBeforeRead();
+  const { sql, params } = auditWhere(filters);
+  const rows = await all(
+    `SELECT a.id, a.user_id, u.email, a.type, a.details, a.created_at
+     FROM audits a LEFT JOIN users u ON u.id = a.user_id
+     ${sql}
+     ORDER BY a.id DESC
+     LIMIT ? OFFSET ?`,
+    params.concat([limit, offset])
   );
+  const totalRow = await getOne(
+    `SELECT COUNT(*) AS c FROM audits a LEFT JOIN users u ON u.id = a.user_id ${sql}`,
+    params
+  );
+  return { rows, total: totalRow ? Number(totalRow.c || 0) : 0 };
+}
+
+// Distinct audit types (for filter dropdowns)
+async function listAuditTypes(userId = null) {
+  await flushBeforeRead();
+  const rows = userId
+    ? await all('SELECT DISTINCT type FROM audits WHERE user_id = ? ORDER BY type', [userId])
+    : await all('SELECT DISTINCT type FROM audits ORDER BY type');
+  return rows.map((r) => r.type);
 }
 
 module.exports = {
-  logAudit
+  logAudit,
+  listAudits,
+  listAuditTypes,
+  flushPendingAudits
 };
\ No newline at end of file
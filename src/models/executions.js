@@ -0,0 +1,76 @@
+'use strict';
+
+const { run, getOne, all, transact } = require('../db');
+
+// Record the user (and key) that started an upstream execution; orgId is set for org keys
+async function recordExecution(userId, keyId, executionId, orgId = null) {
+  if (!executionId) return;
+  await transact(async () => {
+    await run(
+      `INSERT INTO execution_owners (execution_id, user_id, key_id, org_id)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (execution_id) DO NOTHING`,
+      [String(executionId), userId, keyId || null, orgId || null]
+    );
+  });
+}
+
+// Org keys share the org's executions; personal keys only see their user's non-org executions
+function ownsRow(row, userId, orgId) {
+  if (!row) return false;
+  if (orgId) return Number(row.org_id) === Number(orgId);
+  return !row.org_id && Number(row.user_id) === Number(userId);
+}
+
+// Owner row for an execution id, or null when the proxy never saw it created
+function getExecutionOwner(executionId) {
+  return getOne(
+    'SELECT execution_id, user_id, key_id, org_id, created_at FROM execution_owners WHERE execution_id = ?',
+    [String(executionId)]
+  );
+}
+
+async function isExecutionOwner(userId, executionId, orgId = null) {
+  return ownsRow(await getExecutionOwner(executionId), userId, orgId);
+}
+
+// Set of execution ids owned by a user (or by an org)
+async function listOwnedExecutionIds(userId, orgId = null) {
+  const rows = orgId
+    ? await all('SELECT execution_id FROM execution_owners WHERE org_id = ?', [orgId])
+    : await all('SELECT execution_id FROM execution_owners WHERE user_id = ? AND org_id IS NULL', [userId]);
+  return new Set(rows.map((r) => String(r.execution_id)));
+}
+
+// Remember checkpoints listed for an owned execution so checkpoint routes can be checked
+async function recordCheckpoints(userId, executionId, checkpointIds, orgId = null) {
+  const ids = (checkpointIds || []).filter(Boolean).map(String);
+  if (ids.length === 0) return;
+  await transact(async () => {
+    for (const id of ids) {
+      await run(
+        `INSERT INTO checkpoint_owners (checkpoint_id, execution_id, user_id, org_id)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (checkpoint_id) DO NOTHING`,
+        [id, String(executionId), userId, orgId || null]
+      );
+    }
+  });
+}
+
+async function isCheckpointOwner(userId, checkpointId, orgId = null) {
+  const row = await getOne(
+    'SELECT user_id, org_id FROM checkpoint_owners WHERE checkpoint_id = ?',
+    [String(checkpointId)]
+  );
+  return ownsRow(row, userId, orgId);
+}
+
+module.exports = {
+  recordExecution,
+  getExecutionOwner,
+  isExecutionOwner,
+  listOwnedExecutionIds,
+  recordCheckpoints,
+  isCheckpointOwner
+};
\ No newline at end of file
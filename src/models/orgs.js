@@ -0,0 +1,228 @@
+'use strict';
+
+const crypto = require('crypto');
+const { run, getOne, all, transact, nowUtc, toUtcDateStr } = require('../db');
+const { revokeMemberOrgKeys } = require('./apiKeys');
+
+const ORG_ROLES = ['owner', 'admin', 'member'];
+const ORG_INVITE_TTL_DAYS = 7;
+
+// Owners and admins manage org keys and invites; only owners change roles
+function canManageOrg(role) {
+  return role === 'owner' || role === 'admin';
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getOrg(orgId) {
+  return getOne('SELECT id, name, plan, daily_limit, created_at FROM organizations WHERE id = ?', [orgId]);
+}
+
+// Create an org with the user as its owner
+async function createOrg(userId, name) {
+  return transact(async () => {
+    await run('INSERT INTO organizations (name) VALUES (?)', [name]);
+    const org = await getOne('SELECT id FROM organizations WHERE name = ? ORDER BY id DESC LIMIT 1', [name]);
+    await run('INSERT INTO org_members (org_id, user_id, role) VALUES (?, ?, ?)', [org.id, userId, 'owner']);
+    return getOrg(org.id);
+  });
+}
+
+// Set an org's plan tier (validated against config.plans by the caller)
+async function setOrgPlan(orgId, plan) {
+  await transact(async () => {
+    await run('UPDATE organizations SET plan = ? WHERE id = ?', [String(plan).toLowerCase(), orgId]);
+  });
+  return getOrg(orgId);
+}
+
+// Set or clear (null) an org's daily pool override
+async function setOrgDailyLimit(orgId, limit) {
+  const n = limit === null || limit === undefined || limit === '' ? null : Number(limit);
+  await transact(async () => {
+    await run('UPDATE organizations SET daily_limit = ? WHERE id = ?', [Number.isFinite(n) && n > 0 ? Math.floor(n) : null, orgId]);
+  });
+  return getOrg(orgId);
+}
+
+// Orgs for the admin console with member counts and today's pool usage: { rows, total }
+async function listOrgsWithUsage({ search = '', limit = 50, offset = 0 } = {}) {
+  const today = toUtcDateStr();
+  const like = `%${String(search || '').trim().toLowerCase()}%`;
+  const rows = await all(
+    `SELECT o.id, o.name, o.plan, o.daily_limit, o.created_at,
+            COALESCE(d.count, 0) AS requests_today,
+            COALESCE(d.units, 0) AS units_today,
+            (SELECT COUNT(*) FROM org_members m WHERE m.org_id = o.id) AS members
+     FROM organizations o
+     LEFT JOIN usage_daily_orgs d ON d.org_id = o.id AND d.date_utc = ?
+     WHERE lower(o.name) LIKE ?
+     ORDER BY o.id DESC
+     LIMIT ? OFFSET ?`,
+    [today, like, limit, offset]
+  );
+  const totalRow = await getOne('SELECT COUNT(*) AS c FROM organizations WHERE lower(name) LIKE ?', [like]);
+  return { rows, total: totalRow ? Number(totalRow.c || 0) : 0 };
+}
+
+// Role of a user in an org, or null when not a member
+async function getMemberRole(orgId, userId) {
+  const row = await getOne('SELECT role FROM org_members WHERE org_id = ? AND user_id = ?', [orgId, userId]);
+  return row ? row.role : null;
+}
+
+// Orgs a user belongs to: [{ id, name, role }]
+function listUserOrgs(userId) {
+  return all(
+    `SELECT o.id, o.name, m.role
+     FROM org_members m JOIN organizations o ON o.id = m.org_id
+     WHERE m.user_id = ?
+     ORDER BY o.name, o.id`,
+    [userId]
+  );
+}
+
+function listMembers(orgId) {
+  return all(
+    `SELECT m.user_id, u.email, m.role, m.created_at
+     FROM org_members m JOIN users u ON u.id = m.user_id
+     WHERE m.org_id = ?
+     ORDER BY m.created_at, m.user_id`,
+    [orgId]
+  );
+}
+
+async function countOwners(orgId) {
+  const row = await getOne("SELECT COUNT(*) AS c FROM org_members WHERE org_id = ? AND role = 'owner'", [orgId]);
+  return row ? Number(row.c || 0) : 0;
+}
+
+// Change a member's role; the last owner cannot be demoted
+async function setMemberRole(orgId, userId, role) {
+  if (!ORG_ROLES.includes(role)) return { ok: false, reason: 'invalid_role' };
+  return transact(async () => {
+    const current = await getMemberRole(orgId, userId);
+    if (!current) return { ok: false, reason: 'not_member' };
+    if (current === 'owner' && role !== 'owner' && await countOwners(orgId) <= 1) return { ok: false, reason: 'last_owner' };
+    await run('UPDATE org_members SET role = ? WHERE org_id = ? AND user_id = ?', [role, orgId, userId]);
+    return { ok: true, previous: current };
+  });
+}
+
+// Remove a member (also used for leaving) and revoke the org keys they created; the last owner cannot leave
+async function removeMember(orgId, userId) {
+  return transact(async () => {
+    const current = await getMemberRole(orgId, userId);
+    if (!current) return { ok: false, reason: 'not_member' };
+    if (current === 'owner' && await countOwners(orgId) <= 1) return { ok: false, reason: 'last_owner' };
+    await run('DELETE FROM org_members WHERE org_id = ? AND user_id = ?', [orgId, userId]);
+    const revokedKeys = await revokeMemberOrgKeys(orgId, userId);
+    return { ok: true, role: current, revokedKeys };
+  });
+}
+
+/**
+ * Create an invite for an email address and return the raw token once (it goes in the emailed link).
+ * A pending invite for the same email is replaced.
+ */
+async function createInvite(orgId, email, role, invitedBy) {
+  if (!ORG_ROLES.includes(role) || role === 'owner') return { ok: false, reason: 'invalid_role' };
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = nowUtc();
+  const expiresAt = new Date(now.getTime() + ORG_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  await transact(async () => {
+    await run(
+      `UPDATE org_invites SET revoked_at = ?
+       WHERE org_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [now.toISOString(), orgId, email]
+    );
+    await run(
+      `INSERT INTO org_invites (org_id, email, role, token_hash, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [orgId, email, role, hashInviteToken(token), invitedBy, expiresAt]
+    );
+  });
+  return { ok: true, token, expiresAt };
+}
+
+// Invites that can still be accepted
+function listPendingInvites(orgId) {
+  return all(
+    `SELECT id, email, role, created_at, expires_at FROM org_invites
+     WHERE org_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY id DESC`,
+    [orgId, nowUtc().toISOString()]
+  );
+}
+
+async function revokeInvite(orgId, inviteId) {
+  await transact(async () => {
+    await run(
+      'UPDATE org_invites SET revoked_at = ? WHERE id = ? AND org_id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [nowUtc().toISOString(), inviteId, orgId]
+    );
+  });
+  const row = await getOne('SELECT id, email, revoked_at FROM org_invites WHERE id = ? AND org_id = ?', [inviteId, orgId]);
+  if (!row) return { ok: false, reason: 'not_found' };
+  if (!row.revoked_at) return { ok: false, reason: 'not_pending' };
+  return { ok: true, email: row.email };
+}
+
+/**
+ * Look up an invite by its raw token.
+ * Returns { ok: true, invite } or { ok: false, reason: 'not_found'|'expired'|'used' }.
+ */
+async function findInvite(token) {
+  const invite = await getOne(
+    `SELECT i.id, i.org_id, i.email, i.role, i.expires_at, i.accepted_at, i.revoked_at, o.name AS org_name
+     FROM org_invites i JOIN organizations o ON o.id = i.org_id
+     WHERE i.token_hash = ?`,
+    [hashInviteToken(token)]
+  );
+  if (!invite) return { ok: false, reason: 'not_found' };
+  if (invite.accepted_at || invite.revoked_at) return { ok: false, reason: 'used', invite };
+  if (Date.parse(invite.expires_at) <= nowUtc().getTime()) return { ok: false, reason: 'expired', invite };
+  return { ok: true, invite };
+}
+
+// Accept an invite for the signed-in user, whose email must match the invited address
+async function acceptInvite(token, userId, email) {
+  const found = await findInvite(token);
+  if (!found.ok) return found;
+  const { invite } = found;
+  if (String(invite.email).toLowerCase() !== String(email || '').toLowerCase()) {
+    return { ok: false, reason: 'wrong_email', invite };
+  }
+  await transact(async () => {
+    await run(
+      `INSERT INTO org_members (org_id, user_id, role) VALUES (?, ?, ?)
+       ON CONFLICT (org_id, user_id) DO NOTHING`,
+      [invite.org_id, userId, invite.role]
+    );
+    await run('UPDATE org_invites SET accepted_at = ? WHERE id = ?', [nowUtc().toISOString(), invite.id]);
+  });
+  return { ok: true, invite, role: await getMemberRole(invite.org_id, userId) };
+}
+
+module.exports = {
+  ORG_ROLES,
+  ORG_INVITE_TTL_DAYS,
+  canManageOrg,
+  getOrg,
+  createOrg,
+  setOrgPlan,
+  setOrgDailyLimit,
+  listOrgsWithUsage,
+  getMemberRole,
+  listUserOrgs,
+  listMembers,
+  setMemberRole,
+  removeMember,
+  createInvite,
+  listPendingInvites,
+  revokeInvite,
+  findInvite,
+  acceptInvite
+};
\ No newline at end of file
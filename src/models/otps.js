@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const { run, getOne, all, transact, nowUtc } = require('../db');
 const { generateSalt, scryptHash, verifyHash, generateOtpCode } = require('../utils/crypto');
 const { isProduction } = require('../config');
@@ -23,12 +24,16 @@ const OTP_MAX_ATTEMPTS = 0;        // attempts disabled
 const OTP_MIN_RESEND_SECONDS = 120; // 1 per 2 minutes per email
 const OTP_MAX_PER_HOUR = 5;        // 5 per hour per email
 
-function canSendOtp(email) {
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function canSendOtp(email) {
   const now = nowUtc();
   const nowMs = now.getTime();
   const nowIso = now.toISOString();
 
-  const last = getOne(
+  const last = await getOne(
     'SELECT id, last_sent_at FROM otps WHERE email = ? ORDER BY id DESC LIMIT 1',
     [email]
   );
@@ -41,7 +46,7 @@ function canSendOtp(email) {
   }
 
   const hourAgoIso = new Date(nowMs - 60 * 60 * 1000).toISOString();
-  const countRow = getOne(
+  const countRow = await getOne(
     'SELECT COUNT(*) AS c FROM otps WHERE email = ? AND created_at >= ?',
     [email, hourAgoIso]
   );
@@ -53,34 +58,39 @@ function canSendOtp(email) {
   return { ok: true, nowIso };
 }
 
-function issueOtp(email) {
-  const check = canSendOtp(email);
+/**
+ * Issue a code plus a one-click sign-in link token for the same OTP row.
+ * next: normalized redirect target the link signs in to; browserNonce: binds the link to a browser (optional).
+ */
+async function issueOtp(email, { next = '/dashboard', browserNonce = null } = {}) {
+  const check = await canSendOtp(email);
   if (!check.ok) return { ok: false, ...check };
 
   const code = generateOtpCode();
   const salt = generateSalt(16);
   const hash = scryptHash(code, salt);
+  const linkToken = crypto.randomBytes(32).toString('base64url');
   const now = nowUtc();
   const nowIso = now.toISOString();
   const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000).toISOString();
 
   let insertedId = null;
-  transact(() => {
-    run(
-      'INSERT INTO otps (email, code_hash, salt, expires_at, last_sent_at) VALUES (?, ?, ?, ?, ?)',
-      [email, hash, salt, expiresAt, nowIso]
+  await transact(async () => {
+    await run(
+      'INSERT INTO otps (email, code_hash, salt, expires_at, last_sent_at, link_hash, next_path, browser_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [email, hash, salt, expiresAt, nowIso, hashToken(linkToken), next, browserNonce ? hashToken(browserNonce) : null]
     );
-    const row = getOne('SELECT id FROM otps WHERE email = ? ORDER BY id DESC LIMIT 1', [email]);
+    const row = await getOne('SELECT id FROM otps WHERE email = ? ORDER BY id DESC LIMIT 1', [email]);
     insertedId = row ? row.id : null;
   });
 
   lastOtpCache.set(email, { code, expiresAt });
   if (!isProduction()) { try { console.warn(`[DEBUG] OTP issued for ${email}: ${code}`); } catch (_) {} }
-  return { ok: true, email, code, expiresAt, id: insertedId };
+  return { ok: true, email, code, linkToken, expiresAt, id: insertedId };
 }
 
-function verifyOtp(email, code) {
-  const records = all(
+async function verifyOtp(email, code) {
+  const records = await all(
     'SELECT id, code_hash, salt, expires_at FROM otps WHERE email = ? AND consumed_at IS NULL ORDER BY id DESC LIMIT 10',
     [email]
   );
@@ -120,13 +130,52 @@ function verifyOtp(email, code) {
   }
 
   // Mark the matching OTP as consumed
-  transact(() => {
-    run('UPDATE otps SET consumed_at = ? WHERE id = ?', [nowIso, matched.id]);
+  await transact(async () => {
+    await run('UPDATE otps SET consumed_at = ? WHERE id = ?', [nowIso, matched.id]);
   });
 
   return { ok: true, id: matched.id };
 }
 
+// Why a sign-in link row cannot be used right now, or null when it can
+function magicLinkProblem(r, nowIso, browserNonce) {
+  if (!r) return { ok: false, reason: 'not_found' };
+  if (r.consumed_at) return { ok: false, reason: 'used', email: r.email, next: r.next_path };
+  if (r.expires_at && Date.parse(r.expires_at) < Date.parse(nowIso)) return { ok: false, reason: 'expired', email: r.email, next: r.next_path };
+  if (r.browser_hash && (!browserNonce || hashToken(browserNonce) !== r.browser_hash)) {
+    return { ok: false, reason: 'wrong_browser', email: r.email, next: r.next_path };
+  }
+  return null;
+}
+
+function getMagicLinkRow(token) {
+  return getOne('SELECT id, email, expires_at, consumed_at, next_path, browser_hash FROM otps WHERE link_hash = ?', [hashToken(token)]);
+}
+
+// Check a sign-in link without using it up (for the confirm page shown on GET)
+async function findMagicLink(token, browserNonce = null) {
+  if (!token) return { ok: false, reason: 'not_found' };
+  const r = await getMagicLinkRow(token);
+  return magicLinkProblem(r, nowUtc().toISOString(), browserNonce) || { ok: true, email: r.email, next: r.next_path || '/dashboard' };
+}
+
+/**
+ * Consume a sign-in link. A link bound to a browser only works with that browser's nonce
+ * and is left unused otherwise, so the code in the same email still works.
+ * Returns { ok, email, next } or { ok: false, reason: 'not_found'|'used'|'expired'|'wrong_browser', email?, next? }.
+ */
+async function verifyMagicLink(token, browserNonce = null) {
+  if (!token) return { ok: false, reason: 'not_found' };
+  const nowIso = nowUtc().toISOString();
+  return transact(async () => {
+    const r = await getMagicLinkRow(token);
+    const problem = magicLinkProblem(r, nowIso, browserNonce);
+    if (problem) return problem;
+    await run('UPDATE otps SET consumed_at = ? WHERE id = ?', [nowIso, r.id]);
+    return { ok: true, id: r.id, email: r.email, next: r.next_path || '/dashboard' };
+  });
+}
+
 module.exports = {
   OTP_TTL_MINUTES,
   OTP_MAX_ATTEMPTS,
@@ -134,5 +183,7 @@ module.exports = {
   OTP_MAX_PER_HOUR,
   canSendOtp,
   issueOtp,
-  verifyOtp
+  verifyOtp,
+  findMagicLink,
+  verifyMagicLink
 };
\ No newline at end of file
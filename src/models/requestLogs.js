@@ -0,0 +1,107 @@
+'use strict';
+
+const { run, all, transact, nowUtc } = require('../db');
+const { config } = require('../config');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let purgeTimer = null;
+
+// Request rows not yet written, in INSERT column order (flushed by models/writeBuffer.js)
+let pendingRequests = [];
+
+// Delete rows older than the retention window (no-op when retention is 0)
+async function purgeOldRequests(retentionDays = config.requestLog.retentionDays) {
+  if (!(retentionDays > 0)) return;
+  const cutoff = new Date(nowUtc().getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  await run('DELETE FROM request_logs WHERE created_at < ?', [cutoff]);
+}
+
+// Write buffered request rows in one transaction (re-queued on failure). Resolves to rows written.
+async function flushPendingRequests() {
+  if (pendingRequests.length === 0) return 0;
+  const rows = pendingRequests;
+  pendingRequests = [];
+  try {
+    await transact(async () => {
+      for (const row of rows) {
+        await run(
+          `INSERT INTO request_logs
+             (request_id, user_id, key_id, key_prefix, method, path, status, duration_ms, upstream_ms, req_bytes, res_bytes, upstream_error, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          row
+        );
+      }
+    });
+  } catch (err) {
+    pendingRequests = rows.concat(pendingRequests);
+    throw err;
+  }
+  return rows.length;
+}
+
+/**
+ * Append one request record (buffered like audit rows).
+ * entry: { requestId, userId, keyId, prefix, method, path, status, durationMs,
+ *          upstreamMs, reqBytes, resBytes, upstreamError }
+ */
+function logRequest(entry) {
+  pendingRequests.push([
+    entry.requestId,
+    entry.userId || null,
+    entry.keyId || null,
+    entry.prefix || null,
+    String(entry.method || 'GET').toUpperCase(),
+    entry.path || '/',
+    entry.status || null,
+    Number.isFinite(entry.durationMs) ? Math.round(entry.durationMs) : null,
+    Number.isFinite(entry.upstreamMs) ? Math.round(entry.upstreamMs) : null,
+    entry.reqBytes || 0,
+    entry.resBytes || 0,
+    entry.upstreamError || null,
+    nowUtc().toISOString()
+  ]);
+  if (config.writeBuffer.flushMs <= 0 || pendingRequests.length >= config.writeBuffer.maxPending) {
+    flushPendingRequests().catch((err) => console.error('Failed to write request log rows:', err && err.message));
+  }
+}
+
+function runPurge() {
+  purgeOldRequests().catch((err) => console.error('Request log purge failed:', err && err.message));
+}
+
+// Prune on startup and then hourly; a no-op when retention is 0
+function startRequestLogRetention() {
+  if (purgeTimer || !(config.requestLog.retentionDays > 0)) return;
+  runPurge();
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
+
+function stopRequestLogRetention() {
+  if (purgeTimer) clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+// Most recent requests for a user, newest first
+function listRecentRequests(userId, limit = 25, orgId = null) {
+  // Org keys' requests belong to the org view, not to the member who created the key
+  const owner = orgId
+    ? { sql: 'l.key_id IN (SELECT id FROM api_keys WHERE org_id = ?)', params: [orgId] }
+    : { sql: 'l.user_id = ? AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.id = l.key_id AND k.org_id IS NOT NULL)', params: [userId] };
+  return all(
+    `SELECT l.request_id, l.key_prefix AS prefix, l.method, l.path, l.status, l.duration_ms, l.upstream_ms,
+            l.req_bytes, l.res_bytes, l.upstream_error, l.created_at
+     FROM request_logs l WHERE ${owner.sql}
+     ORDER BY l.id DESC LIMIT ?`,
+    [...owner.params, limit]
+  );
+}
+
+module.exports = {
+  flushPendingRequests,
+  logRequest,
+  listRecentRequests,
+  purgeOldRequests,
+  startRequestLogRetention,
+  stopRequestLogRetention
+};
\ No newline at end of file
@@ -1,58 +1,368 @@
 'use strict';
 
-const { run, getOne, transact, toUtcDateStr } = require('../db');
-const { config } = require('../config');
+const { run, getOne, all, transact, toUtcDateStr } = require('../db');
+const { config, planDailyLimit } = require('../config');
 
-function getCountForDate(userId, dateUtc) {
-  const row = getOne(
-    'SELECT count AS c FROM usage_daily WHERE user_id = ? AND date_utc = ?',
-    [userId, dateUtc]
+// Increments charged but not yet written (flushed by models/writeBuffer.js)
+const pendingCounters = new Map(); // "table|id|date" -> { table, column, id, dateUtc, count, units }
+const pendingRoutes = new Map();   // "user|key|date|method|route" -> { userId, keyId, dateUtc, method, route, count, units }
+
+// Counter reads and flushes exclude each other: a read that overlapped a flush
+// would see the increments neither in memory nor in the table
+let flushing = null;   // Promise of the running flush
+let activeReads = 0;
+let readsDrained = null;
+
+function roundUnits(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// Run async fn as a counter read (waits for a running flush; a new flush waits for it)
+async function readingCounters(fn) {
+  while (flushing) await flushing.catch(() => {});
+  activeReads += 1;
+  try {
+    return await fn();
+  } finally {
+    activeReads -= 1;
+    if (activeReads === 0 && readsDrained) readsDrained();
+  }
+}
+
+// Stored part of a counter row: { count, units } (zeros when absent)
+async function storedUsage(table, column, id, dateUtc) {
+  const row = await getOne(
+    `SELECT count AS c, units AS u FROM ${table} WHERE ${column} = ? AND date_utc = ?`,
+    [id, dateUtc]
   );
-  return row ? Number(row.c || 0) : 0;
-}
-
-function incrementForDate(userId, dateUtc) {
-  // Upsert: insert with count=1 or update to count+1
-  return transact(() => {
-    const existing = getOne(
-      'SELECT count AS c FROM usage_daily WHERE user_id = ? AND date_utc = ?',
-      [userId, dateUtc]
-    );
-    if (!existing) {
-      run(
-        'INSERT INTO usage_daily (user_id, date_utc, count) VALUES (?, ?, ?)',
-        [userId, dateUtc, 1]
-      );
-      return 1;
-    } else {
-      run(
-        'UPDATE usage_daily SET count = count + 1 WHERE user_id = ? AND date_utc = ?',
-        [userId, dateUtc]
-      );
-      return Number(existing.c || 0) + 1;
-    }
-  });
+  return { count: row ? Number(row.c || 0) : 0, units: row ? Number(row.u || 0) : 0 };
 }
 
-function getTodayCount(userId) {
-  const date = toUtcDateStr();
-  return getCountForDate(userId, date);
+// Stored usage plus the increments still buffered for that row
+function withPending(table, id, dateUtc, stored) {
+  const pending = pendingCounters.get(`${table}|${id}|${dateUtc}`);
+  const count = stored.count + (pending ? pending.count : 0);
+  const units = stored.units + (pending ? pending.units : 0);
+  return { count, units: roundUnits(units) };
 }
 
-function incrementToday(userId) {
+// Usage row for a counter table including buffered increments: { count, units } (zeros when absent)
+function getUsageRow(table, column, id, dateUtc) {
+  return readingCounters(async () => withPending(table, id, dateUtc, await storedUsage(table, column, id, dateUtc)));
+}
+
+function getUsageForDate(userId, dateUtc) {
+  return getUsageRow('usage_daily', 'user_id', userId, dateUtc);
+}
+
+function getOrgUsageForDate(orgId, dateUtc) {
+  return getUsageRow('usage_daily_orgs', 'org_id', orgId, dateUtc);
+}
+
+function getKeyUsageForDate(keyId, dateUtc) {
+  return getUsageRow('usage_daily_keys', 'key_id', keyId, dateUtc);
+}
+
+async function getCountForDate(userId, dateUtc) {
+  return (await getUsageForDate(userId, dateUtc)).count;
+}
+
+// Upsert helper: add `count` requests and `units` to a counter row (call inside a transaction).
+// A single INSERT .. ON CONFLICT so concurrent proxy instances cannot lose increments.
+function bumpCounter(table, column, id, dateUtc, count, units) {
+  return run(
+    `INSERT INTO ${table} (${column}, date_utc, count, units) VALUES (?, ?, ?, ?)
+     ON CONFLICT (${column}, date_utc)
+     DO UPDATE SET count = ${table}.count + excluded.count, units = ROUND(${table}.units + excluded.units, 4)`,
+    [id, dateUtc, count, units]
+  );
+}
+
+// Upsert the per-route counter (call inside a transaction). Rows without a key
+// never conflict (NULLs are distinct), which only affects non-proxy callers.
+function bumpRouteCounter(userId, keyId, dateUtc, method, route, count, units) {
+  return run(
+    `INSERT INTO usage_daily_routes (user_id, key_id, date_utc, method, route, count, units)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (user_id, key_id, date_utc, method, route)
+     DO UPDATE SET count = usage_daily_routes.count + excluded.count, units = ROUND(usage_daily_routes.units + excluded.units, 4)`,
+    [userId, keyId, dateUtc, method, route, count, units]
+  );
+}
+
+function queueCounter(table, column, id, dateUtc, count, units) {
+  const k = `${table}|${id}|${dateUtc}`;
+  const entry = pendingCounters.get(k);
+  if (entry) {
+    entry.count += count;
+    entry.units += units;
+  } else {
+    pendingCounters.set(k, { table, column, id, dateUtc, count, units });
+  }
+}
+
+function queueRouteCounter(userId, keyId, dateUtc, method, route, count, units) {
+  const k = `${userId}|${keyId}|${dateUtc}|${method}|${route}`;
+  const entry = pendingRoutes.get(k);
+  if (entry) {
+    entry.count += count;
+    entry.units += units;
+  } else {
+    pendingRoutes.set(k, { userId, keyId, dateUtc, method, route, count, units });
+  }
+}
+
+async function writePendingUsage() {
+  if (pendingCounters.size === 0 && pendingRoutes.size === 0) return 0;
+  while (activeReads > 0) await new Promise((resolve) => { readsDrained = resolve; });
+  readsDrained = null;
+  const counters = Array.from(pendingCounters.values());
+  const routes = Array.from(pendingRoutes.values());
+  pendingCounters.clear();
+  pendingRoutes.clear();
+  try {
+    await transact(async () => {
+      for (const c of counters) await bumpCounter(c.table, c.column, c.id, c.dateUtc, c.count, roundUnits(c.units));
+      for (const r of routes) await bumpRouteCounter(r.userId, r.keyId, r.dateUtc, r.method, r.route, r.count, roundUnits(r.units));
+    });
+  } catch (err) {
+    for (const c of counters) queueCounter(c.table, c.column, c.id, c.dateUtc, c.count, c.units);
+    for (const r of routes) queueRouteCounter(r.userId, r.keyId, r.dateUtc, r.method, r.route, r.count, r.units);
+    throw err;
+  }
+  return counters.length + routes.length;
+}
+
+/**
+ * Write buffered increments in one transaction. On failure they are queued
+ * again for the next flush and the error is rethrown. Resolves to rows written.
+ * One flush runs at a time; a call during a flush runs once it has ended.
+ */
+function flushPendingUsage() {
+  if (flushing) return flushing.then(flushPendingUsage, flushPendingUsage);
+  flushing = writePendingUsage().finally(() => { flushing = null; });
+  return flushing;
+}
+
+/**
+ * Charge one request costing `units` to the user (or to the org pool when orgId is
+ * given), to the key when keyId is given, and to the route when route ({ method, template }) is given.
+ * The increment is buffered in memory (see models/writeBuffer.js) but counted
+ * immediately by the usage readers. Synchronous, so it can run inside getQuotaStatus's decide.
+ */
+function incrementForDate(userId, dateUtc, keyId = null, units = 1, route = null, orgId = null) {
+  if (keyId) queueCounter('usage_daily_keys', 'key_id', keyId, dateUtc, 1, units);
+  if (route) {
+    queueRouteCounter(userId, keyId || null, dateUtc, String(route.method || 'GET').toUpperCase(), route.template, 1, units);
+  }
+  if (orgId) {
+    queueCounter('usage_daily_orgs', 'org_id', orgId, dateUtc, 1, units);
+  } else {
+    queueCounter('usage_daily', 'user_id', userId, dateUtc, 1, units);
+  }
+
+  if (config.writeBuffer.flushMs <= 0 || pendingCounters.size + pendingRoutes.size >= config.writeBuffer.maxPending) {
+    flushPendingUsage().catch((err) => console.error('Failed to write usage counters:', err && err.message));
+  }
+}
+
+function getTodayUsage(userId) {
+  return getUsageForDate(userId, toUtcDateStr());
+}
+
+function getOrgTodayUsage(orgId) {
+  return getOrgUsageForDate(orgId, toUtcDateStr());
+}
+
+function getKeyTodayUsage(keyId) {
+  return getKeyUsageForDate(keyId, toUtcDateStr());
+}
+
+async function getTodayCount(userId) {
+  return (await getTodayUsage(userId)).count;
+}
+
+function incrementToday(userId, keyId = null, units = 1, route = null, orgId = null) {
   const date = toUtcDateStr();
-  return incrementForDate(userId, date);
+  incrementForDate(userId, date, keyId, units, route, orgId);
+}
+
+// First UTC date (YYYY-MM-DD) of a window of `days` days ending today
+function windowStartDate(days) {
+  const now = new Date();
+  return toUtcDateStr(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1))));
+}
+
+// Keys, routes and request logs belong to the org when orgId is set, else to the user's personal keys
+function keyOwnerFilter(alias, userId, orgId) {
+  return orgId
+    ? { sql: `${alias}.org_id = ?`, params: [orgId] }
+    : { sql: `${alias}.user_id = ? AND ${alias}.org_id IS NULL`, params: [userId] };
+}
+
+/**
+ * Daily usage for the last `days` days (oldest first), with zero rows filled in.
+ * Reads the org pool when orgId is given. Returns [{ date, count, units }].
+ */
+async function getUsageHistory(userId, days = 30, orgId = null) {
+  const from = windowStartDate(days);
+  const rows = orgId
+    ? await all('SELECT date_utc, count, units FROM usage_daily_orgs WHERE org_id = ? AND date_utc >= ? ORDER BY date_utc', [orgId, from])
+    : await all('SELECT date_utc, count, units FROM usage_daily WHERE user_id = ? AND date_utc >= ? ORDER BY date_utc', [userId, from]);
+  const byDate = new Map(rows.map((r) => [r.date_utc, r]));
+  const out = [];
+  const start = new Date(`${from}T00:00:00Z`);
+  for (let i = 0; i < days; i += 1) {
+    const date = toUtcDateStr(new Date(start.getTime() + i * 24 * 60 * 60 * 1000));
+    const r = byDate.get(date);
+    out.push({ date, count: r ? Number(r.count || 0) : 0, units: r ? Number(r.units || 0) : 0 });
+  }
+  return out;
+}
+
+// Usage per key over the last `days` days, busiest first (includes revoked keys)
+async function getKeyUsageBreakdown(userId, days = 30, orgId = null) {
+  const from = windowStartDate(days);
+  const owner = keyOwnerFilter('k', userId, orgId);
+  return (await all(
+    `SELECT k.id AS key_id, k.key_prefix AS prefix, k.label, k.revoked_at,
+            COALESCE(SUM(d.count), 0) AS count, COALESCE(SUM(d.units), 0) AS units
+     FROM api_keys k
+     LEFT JOIN usage_daily_keys d ON d.key_id = k.id AND d.date_utc >= ?
+     WHERE ${owner.sql}
+     GROUP BY k.id
+     ORDER BY units DESC, count DESC, k.id DESC`,
+    [from, ...owner.params]
+  )).map((r) => Object.assign(r, { count: Number(r.count || 0), units: Number(r.units || 0) }));
 }
 
-function isOverLimit(userId, limit = config.defaultDailyLimit) {
-  const count = getTodayCount(userId);
-  return count >= Number(limit || 0);
+// Most used routes over the last `days` days
+async function getTopRoutes(userId, days = 30, limit = 10, orgId = null) {
+  const from = windowStartDate(days);
+  const owner = orgId
+    ? { sql: 'r.key_id IN (SELECT id FROM api_keys WHERE org_id = ?)', params: [orgId] }
+    : { sql: 'r.user_id = ? AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.id = r.key_id AND k.org_id IS NOT NULL)', params: [userId] };
+  return (await all(
+    `SELECT r.method, r.route, SUM(r.count) AS count, SUM(r.units) AS units
+     FROM usage_daily_routes r
+     WHERE ${owner.sql} AND r.date_utc >= ?
+     GROUP BY r.method, r.route
+     ORDER BY count DESC, units DESC
+     LIMIT ?`,
+    [...owner.params, from, limit]
+  )).map((r) => Object.assign(r, { count: Number(r.count || 0), units: Number(r.units || 0) }));
+}
+
+/**
+ * Effective daily unit allowance for a user: per-user override, else the plan's limit.
+ * Returns { limit, plan, override }.
+ */
+async function getUserDailyLimit(userId) {
+  const row = await getOne('SELECT plan, daily_limit FROM users WHERE id = ?', [userId]);
+  const plan = (row && row.plan) || config.defaultPlan;
+  const override = row && row.daily_limit !== null && row.daily_limit !== undefined
+    ? Number(row.daily_limit)
+    : null;
+  const limit = override !== null && override > 0 ? override : planDailyLimit(plan);
+  return { limit, plan, override };
+}
+
+// Daily unit allowance for an org pool: org override, else its plan's limit. Returns { limit, plan, override }.
+async function getOrgDailyLimit(orgId) {
+  const row = await getOne('SELECT plan, daily_limit FROM organizations WHERE id = ?', [orgId]);
+  const plan = (row && row.plan) || config.defaultPlan;
+  const override = row && row.daily_limit !== null && row.daily_limit !== undefined
+    ? Number(row.daily_limit)
+    : null;
+  const limit = override !== null && override > 0 ? override : planDailyLimit(plan);
+  return { limit, plan, override };
+}
+
+// Per-key cap, or null when the key only shares the user's limit
+async function getKeyDailyLimit(keyId) {
+  const row = await getOne('SELECT daily_limit FROM api_keys WHERE id = ?', [keyId]);
+  const n = row && row.daily_limit !== null && row.daily_limit !== undefined ? Number(row.daily_limit) : null;
+  return n !== null && n > 0 ? n : null;
+}
+
+/**
+ * Quota status for a request costing `cost` units made with a key.
+ * The binding limit is whichever of the pool limit (the user's, or the org's for
+ * org keys) and key cap has less room left. Free requests (cost 0) are never blocked.
+ * Status: { over, scope: 'user'|'org'|'key', limit, used, count, remaining, pool: { limit, used } }.
+ * decide(status) runs synchronously on the fresh status, before another request or
+ * a flush can change the counters, so checking and charging (incrementForDate)
+ * inside it cannot overshoot a limit. Resolves to what decide returns (the status by default).
+ */
+async function getQuotaStatus(userId, keyId = null, cost = 1, orgId = null, decide = (status) => status) {
+  const pool = orgId ? await getOrgDailyLimit(orgId) : await getUserDailyLimit(userId);
+  const keyLimit = keyId ? await getKeyDailyLimit(keyId) : null;
+  const today = toUtcDateStr();
+  const [poolTable, poolColumn, poolId] = orgId ? ['usage_daily_orgs', 'org_id', orgId] : ['usage_daily', 'user_id', userId];
+
+  return readingCounters(async () => {
+    const poolStored = await storedUsage(poolTable, poolColumn, poolId, today);
+    const keyStored = keyLimit !== null ? await storedUsage('usage_daily_keys', 'key_id', keyId, today) : null;
+
+    // No await from here on: the buffered increments and decide() see the same counters
+    const poolUsage = withPending(poolTable, poolId, today, poolStored);
+    let status = {
+      scope: orgId ? 'org' : 'user',
+      limit: pool.limit,
+      used: poolUsage.units,
+      count: poolUsage.count,
+      remaining: Math.max(0, pool.limit - poolUsage.units)
+    };
+    const poolStatus = { limit: pool.limit, used: poolUsage.units };
+
+    if (keyLimit !== null) {
+      const keyUsage = withPending('usage_daily_keys', keyId, today, keyStored);
+      const keyRemaining = Math.max(0, keyLimit - keyUsage.units);
+      if (keyRemaining < status.remaining) {
+        status = { scope: 'key', limit: keyLimit, used: keyUsage.units, count: keyUsage.count, remaining: keyRemaining };
+      }
+    }
+
+    status.over = cost > 0 && cost > status.remaining;
+    status.pool = poolStatus;
+    return decide(status);
+  });
+}
+
+// Record today's quota warning for a user (or an org); false when one was already sent today
+async function markQuotaWarned(userId, orgId = null) {
+  const today = toUtcDateStr();
+  const table = orgId ? 'organizations' : 'users';
+  const id = orgId || userId;
+  // Plain read first: callers hit this on every request once over the threshold
+  const current = await getOne(`SELECT quota_warned_on FROM ${table} WHERE id = ?`, [id]);
+  if (!current || current.quota_warned_on === today) return false;
+  return transact(async () => {
+    const row = await getOne(`SELECT quota_warned_on FROM ${table} WHERE id = ?`, [id]);
+    if (!row || row.quota_warned_on === today) return false;
+    await run(`UPDATE ${table} SET quota_warned_on = ? WHERE id = ?`, [today, id]);
+    return true;
+  });
 }
 
 module.exports = {
+  getUsageForDate,
+  getKeyUsageForDate,
+  getOrgUsageForDate,
   getCountForDate,
   incrementForDate,
+  getTodayUsage,
+  getKeyTodayUsage,
+  getOrgTodayUsage,
   getTodayCount,
   incrementToday,
-  isOverLimit
+  getUsageHistory,
+  getKeyUsageBreakdown,
+  getTopRoutes,
+  getUserDailyLimit,
+  getOrgDailyLimit,
+  getKeyDailyLimit,
+  getQuotaStatus,
+  markQuotaWarned,
+  flushPendingUsage
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 'use strict';
 
-const { run, getOne, transact, nowUtc } = require('../db');
+const { run, getOne, all, transact, nowUtc, toUtcDateStr } = require('../db');
+const { config } = require('../config');
 
 function getUserByEmail(email) {
   return getOne('SELECT * FROM users WHERE email = ?', [email]);
@@ -11,28 +12,124 @@ function getUserById(id) {
 }
 
 function createUser(email) {
-  return transact(() => {
-    run('INSERT INTO users (email) VALUES (?)', [email]);
+  return transact(async () => {
+    await run('INSERT INTO users (email) VALUES (?)', [email]);
     return getUserByEmail(email);
   });
 }
 
-function findOrCreateUserByEmail(email) {
-  const existing = getUserByEmail(email);
+async function findOrCreateUserByEmail(email) {
+  const existing = await getUserByEmail(email);
   if (existing) return existing;
   return createUser(email);
 }
 
-function updateLastLogin(userId) {
+async function updateLastLogin(userId) {
   const nowIso = nowUtc().toISOString();
-  run('UPDATE users SET last_login_at = ? WHERE id = ?', [nowIso, userId]);
+  await run('UPDATE users SET last_login_at = ? WHERE id = ?', [nowIso, userId]);
   return getUserById(userId);
 }
 
+// Set a user's plan tier (validated against config.plans by the caller)
+async function setUserPlan(userId, plan) {
+  await transact(async () => {
+    await run('UPDATE users SET plan = ? WHERE id = ?', [String(plan).toLowerCase(), userId]);
+  });
+  return getUserById(userId);
+}
+
+// Set or clear (null) a per-user daily limit override
+async function setUserDailyLimit(userId, limit) {
+  const n = limit === null || limit === undefined || limit === '' ? null : Number(limit);
+  await transact(async () => {
+    await run('UPDATE users SET daily_limit = ? WHERE id = ?', [Number.isFinite(n) && n > 0 ? Math.floor(n) : null, userId]);
+  });
+  return getUserById(userId);
+}
+
+// Admin access: users.is_admin flag or ADMIN_EMAILS allowlist
+function isAdminUser(user) {
+  if (!user) return false;
+  if (Number(user.is_admin) === 1) return true;
+  const email = String(user.email || '').toLowerCase();
+  return !!email && config.adminEmails.includes(email);
+}
+
+function isSuspended(user) {
+  return !!(user && user.suspended_at);
+}
+
+// Suspend (true) or unsuspend (false) a user; suspended users' keys are rejected by the proxy
+async function setUserSuspended(userId, suspended) {
+  const nowIso = nowUtc().toISOString();
+  await transact(async () => {
+    if (suspended) {
+      await run('UPDATE users SET suspended_at = ? WHERE id = ? AND suspended_at IS NULL', [nowIso, userId]);
+    } else {
+      await run('UPDATE users SET suspended_at = NULL WHERE id = ?', [userId]);
+    }
+  });
+  return getUserById(userId);
+}
+
+// Set the locale used for the user's emails (validated by the caller)
+async function setUserLocale(userId, locale) {
+  await transact(async () => {
+    await run('UPDATE users SET locale = ? WHERE id = ?', [locale, userId]);
+  });
+  return getUserById(userId);
+}
+
+/**
+ * Remember the IP of a sign-in.
+ * Returns { isNew, firstLogin }: isNew when the IP was not seen before, firstLogin when no IP was recorded yet.
+ */
+function recordLoginIp(userId, ip) {
+  const nowIso = nowUtc().toISOString();
+  return transact(async () => {
+    const seen = await getOne('SELECT COUNT(*) AS c FROM user_login_ips WHERE user_id = ?', [userId]);
+    const known = await getOne('SELECT ip FROM user_login_ips WHERE user_id = ? AND ip = ?', [userId, ip]);
+    await run(
+      `INSERT INTO user_login_ips (user_id, ip, first_seen_at, last_seen_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (user_id, ip) DO UPDATE SET last_seen_at = excluded.last_seen_at`,
+      [userId, ip, nowIso, nowIso]
+    );
+    return { isNew: !known, firstLogin: Number((seen && seen.c) || 0) === 0 };
+  });
+}
+
+// Users with today's usage and key counts, for the admin console
+async function listUsersWithUsage({ search = '', limit = 50, offset = 0 } = {}) {
+  const today = toUtcDateStr();
+  const like = `%${String(search || '').trim().toLowerCase()}%`;
+  const rows = await all(
+    `SELECT u.id, u.email, u.plan, u.daily_limit, u.is_admin, u.suspended_at, u.created_at, u.last_login_at,
+            COALESCE(d.count, 0) AS requests_today,
+            COALESCE(d.units, 0) AS units_today,
+            (SELECT COUNT(*) FROM api_keys k WHERE k.user_id = u.id AND k.revoked_at IS NULL) AS active_keys
+     FROM users u
+     LEFT JOIN usage_daily d ON d.user_id = u.id AND d.date_utc = ?
+     WHERE lower(u.email) LIKE ?
+     ORDER BY u.id DESC
+     LIMIT ? OFFSET ?`,
+    [today, like, limit, offset]
+  );
+  const totalRow = await getOne('SELECT COUNT(*) AS c FROM users WHERE lower(email) LIKE ?', [like]);
+  return { rows, total: totalRow ? Number(totalRow.c || 0) : 0 };
+}
+
 module.exports = {
   getUserByEmail,
   getUserById,
   createUser,
   findOrCreateUserByEmail,
-  updateLastLogin
+  updateLastLogin,
+  setUserPlan,
+  setUserDailyLimit,
+  isAdminUser,
+  isSuspended,
+  setUserSuspended,
+  setUserLocale,
+  recordLoginIp,
+  listUsersWithUsage
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+'use strict';
+
+const { config } = require('../config');
+const { flushPendingUsage } = require('./usage');
+const { flushPendingKeyTouches } = require('./apiKeys');
+const { flushPendingAudits } = require('./audits');
+const { flushPendingRequests } = require('./requestLogs');
+
+let timer = null;
+
+/**
+ * Write everything buffered so far (usage counters, key last_used_at, audit rows, request logs).
+ * Each kind goes in its own transaction; a failed batch stays queued for the next run.
+ * Resolves to the number of rows written.
+ */
+async function flushWrites() {
+  let written = 0;
+  for (const flush of [flushPendingUsage, flushPendingKeyTouches, flushPendingAudits, flushPendingRequests]) {
+    try {
+      written += await flush();
+    } catch (err) {
+      console.error('Write buffer flush failed:', err && err.message);
+    }
+  }
+  return written;
+}
+
+// Flush on an interval (WRITE_BUFFER_FLUSH_MS); a no-op when buffering is disabled
+function startWriteBuffer() {
+  if (timer || config.writeBuffer.flushMs <= 0) return;
+  timer = setInterval(flushWrites, config.writeBuffer.flushMs);
+  timer.unref();
+}
+
+// Stop the interval and write whatever is still buffered (graceful shutdown); resolves to rows written
+function stopWriteBuffer() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  return flushWrites();
+}
+
+module.exports = {
+  flushWrites,
+  startWriteBuffer,
+  stopWriteBuffer
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+'use strict';
+
+const { config } = require('./config');
+const { markQuotaWarned } = require('./models/usage');
+const { getUserById } = require('./models/users');
+const { getOrg, listMembers } = require('./models/orgs');
+const { logAudit } = require('./models/audits');
+const { sendQuotaWarningEmail } = require('./utils/email');
+const { formatUnits } = require('./utils/costs');
+
+/**
+ * Email the user (or an org's owners) the first time today's pool usage crosses QUOTA_WARNING_PERCENT.
+ * Called after each counted request; sends at most one warning per user or org per UTC day.
+ * Emails are sent in the background; the returned promise settles once the warning is recorded.
+ */
+async function checkQuotaWarning(userId, orgId, used, limit) {
+  const threshold = config.quotaWarningPercent;
+  if (threshold <= 0 || !(limit > 0) || used * 100 < limit * threshold) return;
+  if (!(await markQuotaWarned(userId, orgId))) return;
+
+  const percent = Math.min(100, Math.floor((used / limit) * 100));
+  let recipients;
+  let orgName = null;
+  if (orgId) {
+    const org = await getOrg(orgId);
+    orgName = org ? org.name : null;
+    recipients = (await listMembers(orgId)).filter((m) => m.role === 'owner').map((m) => m.email);
+  } else {
+    const user = await getUserById(userId);
+    recipients = user ? [user.email] : [];
+  }
+
+  logAudit(userId, 'quota_warning', { org_id: orgId || null, used: Number(formatUnits(used)), limit, percent, recipients: recipients.length });
+  for (const email of recipients) {
+    sendQuotaWarningEmail(email, { used: formatUnits(used), limit, percent, orgName }).catch(() => {});
+  }
+}
+
+module.exports = { checkQuotaWarning };
\ No newline at end of file
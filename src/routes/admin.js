@@ -0,0 +1,252 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { requireAdmin, verifyCsrf } = require('../middleware/requireAuth');
+const { asyncHandler } = require('../utils/asyncHandler');
+const {
+  getUserById,
+  setUserPlan,
+  setUserDailyLimit,
+  setUserSuspended,
+  listUsersWithUsage
+} = require('../models/users');
+const { sendKeyRevokedEmail } = require('../utils/email');
+const { listKeys, getKeyById, revokeKey } = require('../models/apiKeys');
+const { getOrg, setOrgPlan, setOrgDailyLimit, listOrgsWithUsage } = require('../models/orgs');
+const { getTodayUsage, getUserDailyLimit, getOrgDailyLimit } = require('../models/usage');
+const { logAudit, listAudits, listAuditTypes } = require('../models/audits');
+const { formatUnits } = require('../utils/costs');
+const metrics = require('../utils/metrics');
+const { config } = require('../config');
+const { exportSnapshot, snapshotStamp } = require('../backup');
+
+const PAGE_SIZE = 50;
+
+router.use(requireAdmin);
+
+function pageFromQuery(query) {
+  const n = parseInt(query.page, 10);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function isValidDate(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+function parseId(param) {
+  const id = Number(param);
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
+// GET /admin (users)
+router.get('/', asyncHandler(async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  const page = pageFromQuery(req.query);
+  const { rows, total } = await listUsersWithUsage({ search, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+  for (const u of rows) {
+    u.units_today = formatUnits(u.units_today);
+    u.effective_limit = (await getUserDailyLimit(u.id)).limit;
+  }
+
+  res.render('admin-users', {
+    title: 'Admin · Users',
+    users: rows,
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    q: search,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// GET /admin/users/:id
+router.get('/users/:id', asyncHandler(async (req, res) => {
+  const userId = parseId(req.params.id);
+  const user = userId ? await getUserById(userId) : null;
+  if (!user) return res.status(404).send('User not found');
+
+  const today = await getTodayUsage(userId);
+  const { limit, plan } = await getUserDailyLimit(userId);
+  const recent = (await listAudits({ userId }, { limit: 20, offset: 0 })).rows;
+
+  res.render('admin-user', {
+    title: `Admin · ${user.email}`,
+    user,
+    keys: await listKeys(userId, { includeOrg: true }),
+    unitsToday: formatUnits(today.units),
+    requestsToday: today.count,
+    dailyLimit: limit,
+    plan,
+    plans: Object.keys(config.plans),
+    audits: recent,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /admin/users/:id/suspend and /admin/users/:id/unsuspend
+function suspendHandler(suspended) {
+  return asyncHandler(async (req, res) => {
+    const userId = parseId(req.params.id);
+    const user = userId ? await getUserById(userId) : null;
+    if (!user) return res.status(404).send('User not found');
+    if (suspended && user.id === req.adminUser.id) {
+      return res.status(400).send('You cannot suspend your own account');
+    }
+
+    await setUserSuspended(userId, suspended);
+    logAudit(req.adminUser.id, suspended ? 'admin_user_suspend' : 'admin_user_unsuspend', {
+      target_user_id: userId,
+      email: user.email
+    });
+    return res.redirect(`/admin/users/${userId}`);
+  });
+}
+router.post('/users/:id/suspend', verifyCsrf, suspendHandler(true));
+router.post('/users/:id/unsuspend', verifyCsrf, suspendHandler(false));
+
+// POST /admin/users/:id/quota (plan + optional override)
+router.post('/users/:id/quota', verifyCsrf, asyncHandler(async (req, res) => {
+  const userId = parseId(req.params.id);
+  const user = userId ? await getUserById(userId) : null;
+  if (!user) return res.status(404).send('User not found');
+
+  const plan = String(req.body.plan || '').trim().toLowerCase();
+  if (!config.plans[plan]) return res.status(400).send('Unknown plan');
+  const limitRaw = String(req.body.daily_limit || '').trim();
+  const override = limitRaw ? parseInt(limitRaw, 10) : null;
+  if (limitRaw && (!Number.isFinite(override) || override <= 0)) {
+    return res.status(400).send('Daily limit must be a positive number.');
+  }
+
+  await setUserPlan(userId, plan);
+  await setUserDailyLimit(userId, override);
+  logAudit(req.adminUser.id, 'admin_quota_update', {
+    target_user_id: userId,
+    email: user.email,
+    plan,
+    daily_limit: override,
+    previous: { plan: user.plan, daily_limit: user.daily_limit }
+  });
+  return res.redirect(`/admin/users/${userId}`);
+}));
+
+// GET /admin/orgs (orgs with today's pool usage and quota controls)
+router.get('/orgs', asyncHandler(async (req, res) => {
+  const search = String(req.query.q || '').trim();
+  const page = pageFromQuery(req.query);
+  const { rows, total } = await listOrgsWithUsage({ search, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+  for (const o of rows) {
+    o.units_today = formatUnits(o.units_today);
+    o.effective_limit = (await getOrgDailyLimit(o.id)).limit;
+  }
+
+  res.render('admin-orgs', {
+    title: 'Admin · Organizations',
+    orgs: rows,
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    q: search,
+    plans: Object.keys(config.plans),
+    defaultPlan: config.defaultPlan,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /admin/orgs/:id/quota (plan + optional pool override)
+router.post('/orgs/:id/quota', verifyCsrf, asyncHandler(async (req, res) => {
+  const orgId = parseId(req.params.id);
+  const org = orgId ? await getOrg(orgId) : null;
+  if (!org) return res.status(404).send('Organization not found');
+
+  const plan = String(req.body.plan || '').trim().toLowerCase();
+  if (!config.plans[plan]) return res.status(400).send('Unknown plan');
+  const limitRaw = String(req.body.daily_limit || '').trim();
+  const override = limitRaw ? parseInt(limitRaw, 10) : null;
+  if (limitRaw && (!Number.isFinite(override) || override <= 0)) {
+    return res.status(400).send('Daily limit must be a positive number.');
+  }
+
+  await setOrgPlan(orgId, plan);
+  await setOrgDailyLimit(orgId, override);
+  logAudit(req.adminUser.id, 'admin_org_quota_update', {
+    org_id: orgId,
+    name: org.name,
+    plan,
+    daily_limit: override,
+    previous: { plan: org.plan, daily_limit: org.daily_limit }
+  });
+  return res.redirect('/admin/orgs');
+}));
+
+// POST /admin/keys/:id/revoke (any user's key)
+router.post('/keys/:id/revoke', verifyCsrf, asyncHandler(async (req, res) => {
+  const keyId = Number(req.params.id);
+  const key = Number.isFinite(keyId) && keyId > 0 ? await getKeyById(keyId) : null;
+  if (!key) return res.status(404).send('Key not found');
+
+  const r = await revokeKey(key.user_id, keyId);
+  if (!r.ok) return res.status(400).send('Unable to revoke key');
+
+  logAudit(req.adminUser.id, 'admin_key_revoke', { target_user_id: key.user_id, keyId, prefix: key.prefix });
+  // Also record on the owner's trail
+  logAudit(key.user_id, 'key_revoke', { keyId, prefix: key.prefix, by: 'admin' });
+  metrics.keysRevoked.inc({ by: 'admin' });
+  const owner = await getUserById(key.user_id);
+  if (owner) sendKeyRevokedEmail(owner.email, key, true);
+  return res.redirect(`/admin/users/${key.user_id}`);
+}));
+
+// GET /admin/audits
+router.get('/audits', asyncHandler(async (req, res) => {
+  const filters = {
+    type: String(req.query.type || '').trim() || null,
+    email: String(req.query.email || '').trim() || null,
+    userId: parseId(req.query.user_id),
+    from: isValidDate(req.query.from) ? req.query.from : null,
+    to: isValidDate(req.query.to) ? req.query.to : null,
+    search: String(req.query.search || '').trim() || null
+  };
+  const page = pageFromQuery(req.query);
+  const { rows, total } = await listAudits(filters, { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+
+  // Query string for pagination links (without page)
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries({
+    type: filters.type, email: filters.email, user_id: filters.userId, from: filters.from, to: filters.to, search: filters.search
+  })) {
+    if (v) params.set(k, String(v));
+  }
+
+  res.render('admin-audits', {
+    title: 'Admin · Audit log',
+    audits: rows,
+    types: await listAuditTypes(),
+    filters,
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    queryString: params.toString()
+  });
+}));
+
+// GET /admin/backup (consistent SQLite snapshot of the live database)
+router.get('/backup', asyncHandler(async (req, res) => {
+  let data;
+  try {
+    data = await exportSnapshot();
+  } catch (err) {
+    console.error('Backup export failed:', err);
+    return res.status(500).send(`Backup failed: ${err.message}`);
+  }
+  logAudit(req.adminUser.id, 'admin_backup_download', { bytes: data.length });
+  res.setHeader('Content-Type', 'application/vnd.sqlite3');
+  res.setHeader('Content-Disposition', `attachment; filename="roma-${snapshotStamp()}.sqlite"`);
+  res.setHeader('Content-Length', String(data.length));
+  res.setHeader('Cache-Control', 'no-store');
+  return res.end(data);
+}));
+
+module.exports = router;
\ No newline at end of file
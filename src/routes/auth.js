@@ -1,14 +1,21 @@
 'use strict';
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 
+const { config, isProduction } = require('../config');
 const { verifyCsrf } = require('../middleware/requireAuth');
-const { sendOtpEmail } = require('../utils/email');
-const { issueOtp, verifyOtp, OTP_TTL_MINUTES } = require('../models/otps');
-const { findOrCreateUserByEmail, updateLastLogin } = require('../models/users');
-const { setSessionCookie, clearSessionCookie } = require('../utils/jwt');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { sendOtpEmail, sendNewLoginEmail } = require('../utils/email');
+const { pickLocale } = require('../utils/i18n');
+const { normalizeIp } = require('../utils/keyRestrictions');
+const { getProvider, listProviders, isEmailDomainAllowed, beginLogin, sealState, openState, fetchIdentity, OIDC_STATE_TTL_SECONDS } = require('../utils/oidc');
+const { issueOtp, verifyOtp, findMagicLink, verifyMagicLink, OTP_TTL_MINUTES } = require('../models/otps');
+const { getUserByEmail, findOrCreateUserByEmail, isSuspended, updateLastLogin, setUserLocale, recordLoginIp } = require('../models/users');
+const { signSessionToken, setSessionCookie, clearSessionCookie } = require('../utils/jwt');
 const { logAudit } = require('../models/audits');
+const metrics = require('../utils/metrics');
 
 function isValidEmail(email) {
   if (typeof email !== 'string') return false;
@@ -42,6 +49,61 @@ function isValidOtp(code) {
   return c.length === 6;
 }
 
+// Random per-browser value set when a code is requested; MAGIC_LINK_BIND_BROWSER ties sign-in links to it
+const LOGIN_NONCE_COOKIE = 'login_nonce';
+
+function ensureLoginNonce(req, res) {
+  let nonce = req.cookies ? req.cookies[LOGIN_NONCE_COOKIE] : undefined;
+  if (!nonce || !/^[A-Za-z0-9_-]{32,}$/.test(nonce)) nonce = crypto.randomBytes(24).toString('base64url');
+  res.cookie(LOGIN_NONCE_COOKIE, nonce, {
+    httpOnly: true,
+    secure: isProduction(),
+    sameSite: 'lax',
+    maxAge: OTP_TTL_MINUTES * 60 * 1000,
+    path: '/auth'
+  });
+  return nonce;
+}
+
+const MAGIC_LINK_ERRORS = {
+  not_found: 'This sign-in link is invalid. Please request a new code.',
+  used: 'This sign-in link has already been used. Please request a new code.',
+  expired: 'This sign-in link has expired. Please request a new code.',
+  wrong_browser: 'This sign-in link only works in the browser where you requested it. Open it there, or enter the code from the email below.'
+};
+
+// Signed state, nonce and PKCE verifier for an SSO sign-in in progress (see utils/oidc.js)
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+function oidcStateCookieOptions() {
+  // lax: the cookie is sent on the IdP's top-level redirect back to the callback
+  return { httpOnly: true, secure: isProduction(), sameSite: 'lax', path: '/auth/oidc' };
+}
+
+const OIDC_ERRORS = {
+  unknown_provider: 'Unknown sign-in provider.',
+  state_mismatch: 'Your sign-in attempt expired or was started in another browser. Please try again.',
+  denied: 'Sign-in was cancelled at {provider}.',
+  no_code: '{provider} sent you back without a sign-in code. Please start the sign-in again.',
+  no_email: '{provider} did not share a verified email address for this account.',
+  email_unverified: '{provider} did not share a verified email address for this account.',
+  domain_not_allowed: 'Sign-in with {provider} is limited to approved email domains. Use an allowed address, or sign in with an email code.',
+  provider_error: 'We could not reach {provider} right now. Please try again, or sign in with an email code.',
+  failed: 'We could not sign you in with {provider}. Please try again, or sign in with an email code.'
+};
+
+function oidcError(reason, provider) {
+  const template = OIDC_ERRORS[reason] || OIDC_ERRORS.failed;
+  return template.replace('{provider}', provider ? provider.label : 'your identity provider');
+}
+
+// Refuse a sign-in for a suspended account after its email was verified
+function renderSuspendedLogin(res, email, via) {
+  // Audit: sign-in by a suspended account
+  logAudit(null, 'login_suspended', { email, via });
+  return res.status(403).render('login', { title: 'Login', next: '/dashboard', csrfToken: res.locals.csrfToken, error: SUSPENDED_LOGIN_ERROR, info: null });
+}
+
 function normalizeNext(next) {
   if (!next || typeof next !== 'string') return '/dashboard';
   try {
@@ -54,6 +116,31 @@ function normalizeNext(next) {
   }
 }
 
+const SUSPENDED_LOGIN_ERROR = 'This account is suspended. Contact an administrator to restore access.';
+
+// Create or look up the user by (verified) email and start a session; null (no session) for suspended accounts
+async function completeLogin(req, res, email) {
+  if (isSuspended(await getUserByEmail(email))) return null;
+  const user = await findOrCreateUserByEmail(email);
+  await updateLastLogin(user.id);
+  if (!user.locale) await setUserLocale(user.id, pickLocale(req));
+  // Alert on sign-ins from an IP this account has not used before (not on the very first sign-in)
+  const ip = normalizeIp(req.ip || (req.socket && req.socket.remoteAddress));
+  const login = await recordLoginIp(user.id, ip);
+  if (login.isNew && !login.firstLogin) {
+    logAudit(user.id, 'login_new_ip', { ip });
+    sendNewLoginEmail(email, { ip, userAgent: String(req.get('user-agent') || '').slice(0, 200) || null, at: new Date() });
+  }
+  setSessionCookie(res, signSessionToken(user.id, email));
+  return user;
+}
+
+// Sign-in options for the login page
+router.use((req, res, next) => {
+  res.locals.ssoProviders = listProviders();
+  next();
+});
+
 // GET /auth/login
 router.get('/login', (req, res) => {
   const next = req.query.next || '/dashboard';
@@ -82,7 +169,8 @@ router.post('/login', verifyCsrf, async (req, res) => {
   }
 
   try {
-    const result = issueOtp(email);
+    const browserNonce = config.magicLinkBindBrowser ? ensureLoginNonce(req, res) : null;
+    const result = await issueOtp(email, { next, browserNonce });
     if (!result.ok) {
       let msg = 'Unable to send OTP. Please try again later.';
       if (result.reason === 'rate_minute') {
@@ -102,14 +190,27 @@ router.post('/login', verifyCsrf, async (req, res) => {
     }
 
     // Send email
-    const mail = await sendOtpEmail(email, result.code);
+    // New addresses get the browser's language; known users get their saved locale
+    const link = { url: `${config.siteBaseUrl}/auth/magic/${result.linkToken}`, sameBrowser: Boolean(browserNonce) };
+    const mail = await sendOtpEmail(email, result.code, pickLocale(req), link);
+    if (!mail.ok) {
+      // Fail closed: the code is never shown when delivery fails (the failure is audited as email_delivery_fail)
+      return res.status(503).render('login', {
+        title: 'Login',
+        next,
+        csrfToken: res.locals.csrfToken,
+        error: 'We could not send your code right now. Please try again later.',
+        info: null
+      });
+    }
     // Audit: OTP sent (include debug flag if using debug transport)
-    logAudit(null, 'otp_send', { email, debug: !!(mail && mail.debug) });
+    logAudit(null, 'otp_send', { email, debug: mail.debug });
+    metrics.otpSent.inc();
 
     // Render verify page with prefilled email
     const infoMsg = mail && mail.debug && mail.code
-      ? `DEBUG: OTP for ${email} is ${mail.code}`
-      : 'We have emailed you a 6-digit OTP code. You can request a new code after 2 minutes if needed.';
+      ? `DEBUG: OTP for ${email} is ${mail.code} (sign-in link: ${mail.linkUrl})`
+      : 'We have emailed you a 6-digit OTP code and a one-click sign-in link. You can request a new code after 2 minutes if needed.';
     return res.render('verify', {
       title: 'Verify OTP',
       email,
@@ -184,7 +285,7 @@ router.post('/verify', verifyCsrf, async (req, res) => {
   }
 
   try {
-    const verified = verifyOtp(email, code);
+    const verified = await verifyOtp(email, code);
     if (!verified.ok) {
       let msg = 'Incorrect code. Please try again or request a new OTP.';
       if (verified.reason === 'expired') msg = 'OTP expired. Please request a new code.';
@@ -192,6 +293,7 @@ router.post('/verify', verifyCsrf, async (req, res) => {
 
       // Audit: OTP verify failed
       logAudit(null, 'otp_verify_fail', { email, reason: verified.reason });
+      metrics.otpVerified.inc({ result: verified.reason || 'invalid' });
       return res.status(400).render('verify', {
         title: 'Verify OTP',
         email,
@@ -203,15 +305,11 @@ router.post('/verify', verifyCsrf, async (req, res) => {
       });
     }
 
-    // Create or lookup user and set session
-    const user = findOrCreateUserByEmail(email);
-    updateLastLogin(user.id);
-    const jwt = require('../utils/jwt');
-    const token = jwt.signSessionToken(user.id, email);
-    jwt.setSessionCookie(res, token);
+    const user = await completeLogin(req, res, email);
+    if (!user) return renderSuspendedLogin(res, email, 'code');
     // Audit: OTP verify success
-    logAudit(user.id, 'otp_verify', { email });
-
+    logAudit(user.id, 'otp_verify', { email, via: 'code' });
+    metrics.otpVerified.inc({ result: 'ok' });
     return res.redirect(next || '/dashboard');
   } catch (err) {
     console.error('Error verifying OTP:', err);
@@ -227,6 +325,139 @@ router.post('/verify', verifyCsrf, async (req, res) => {
   }
 });
 
+// Explain why a sign-in link cannot be used: back to the code form when the email is known
+function renderMagicLinkError(res, result) {
+  const error = MAGIC_LINK_ERRORS[result.reason] || MAGIC_LINK_ERRORS.not_found;
+  if (!result.email) {
+    return res.status(400).render('login', { title: 'Login', next: '/dashboard', csrfToken: res.locals.csrfToken, error, info: null });
+  }
+  return res.status(400).render('verify', {
+    title: 'Verify OTP',
+    email: result.email,
+    next: normalizeNext(result.next),
+    csrfToken: res.locals.csrfToken,
+    ttlMinutes: OTP_TTL_MINUTES,
+    error,
+    info: null
+  });
+}
+
+// GET /auth/magic/:token (link from the OTP email; only shows a confirm button so mail scanners
+// that prefetch links cannot use it up)
+router.get('/magic/:token', asyncHandler(async (req, res) => {
+  const token = String(req.params.token || '');
+  const nonce = req.cookies ? req.cookies[LOGIN_NONCE_COOKIE] : undefined;
+  const result = await findMagicLink(token, nonce);
+  // Keep the token out of Referer headers sent by this page
+  res.set('Referrer-Policy', 'no-referrer');
+  if (!result.ok) return renderMagicLinkError(res, result);
+  return res.render('magic-link', {
+    title: 'Sign in',
+    email: result.email,
+    token,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /auth/magic/:token (confirm button; signs in to the `next` chosen at request time)
+router.post('/magic/:token', verifyCsrf, async (req, res) => {
+  try {
+    const nonce = req.cookies ? req.cookies[LOGIN_NONCE_COOKIE] : undefined;
+    const result = await verifyMagicLink(String(req.params.token || ''), nonce);
+    if (!result.ok) {
+      // Audit: sign-in link rejected
+      logAudit(null, 'otp_verify_fail', { email: result.email || null, reason: result.reason, via: 'link' });
+      metrics.otpVerified.inc({ result: result.reason });
+      return renderMagicLinkError(res, result);
+    }
+
+    const user = await completeLogin(req, res, result.email);
+    if (!user) return renderSuspendedLogin(res, result.email, 'link');
+    // Audit: sign-in link used
+    logAudit(user.id, 'otp_verify', { email: result.email, via: 'link' });
+    metrics.otpVerified.inc({ result: 'ok' });
+    if (nonce) res.clearCookie(LOGIN_NONCE_COOKIE, { path: '/auth' });
+    return res.redirect(normalizeNext(result.next));
+  } catch (err) {
+    console.error('Error verifying sign-in link:', err);
+    return res.status(500).render('login', {
+      title: 'Login',
+      next: '/dashboard',
+      csrfToken: res.locals.csrfToken,
+      error: 'Internal error while verifying your sign-in link. Please try again.',
+      info: null
+    });
+  }
+});
+
+// GET /auth/oidc/:provider (start SSO: redirect to the IdP with state, nonce and a PKCE challenge)
+router.get('/oidc/:provider', async (req, res) => {
+  const provider = getProvider(String(req.params.provider).toLowerCase());
+  const next = normalizeNext(req.query.next);
+  const fail = (status, reason) => res.status(status).render('login', {
+    title: 'Login',
+    next,
+    csrfToken: res.locals.csrfToken,
+    error: oidcError(reason, provider),
+    info: null
+  });
+  if (!provider) return fail(404, 'unknown_provider');
+
+  try {
+    const start = await beginLogin(provider);
+    res.cookie(OIDC_STATE_COOKIE, sealState(provider.name, Object.assign({ next }, start)),
+      Object.assign(oidcStateCookieOptions(), { maxAge: OIDC_STATE_TTL_SECONDS * 1000 }));
+    return res.redirect(start.url);
+  } catch (err) {
+    console.error(`Error starting ${provider.name} sign-in:`, err);
+    logAudit(null, 'oidc_login_fail', { provider: provider.name, reason: 'provider_error', error: err.message });
+    return fail(502, 'provider_error');
+  }
+});
+
+// GET /auth/oidc/:provider/callback (check state, redeem the code, sign in by verified email)
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const provider = getProvider(String(req.params.provider).toLowerCase());
+  const saved = provider ? openState(req.cookies && req.cookies[OIDC_STATE_COOKIE], provider.name, req.query.state) : null;
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions());
+  const next = saved ? normalizeNext(saved.next) : '/dashboard';
+  const fail = (status, reason, details = {}) => {
+    // Audit: SSO sign-in rejected
+    if (provider) logAudit(null, 'oidc_login_fail', Object.assign({ provider: provider.name, reason }, details));
+    return res.status(status).render('login', {
+      title: 'Login',
+      next,
+      csrfToken: res.locals.csrfToken,
+      error: oidcError(reason, provider),
+      info: null
+    });
+  };
+  if (!provider) return fail(404, 'unknown_provider');
+  if (!saved) return fail(400, 'state_mismatch');
+  if (req.query.error) return fail(400, 'denied', { error: String(req.query.error).slice(0, 100) });
+  if (!req.query.code) return fail(400, 'no_code');
+
+  try {
+    const identity = await fetchIdentity(provider, String(req.query.code), saved);
+    if (!identity.ok) {
+      return fail(400, identity.reason, { subject: identity.subject || null, email: identity.email || null, error: identity.detail });
+    }
+    if (!isEmailDomainAllowed(provider, identity.email)) {
+      return fail(403, 'domain_not_allowed', { subject: identity.subject, email: identity.email });
+    }
+
+    const user = await completeLogin(req, res, identity.email);
+    if (!user) return renderSuspendedLogin(res, identity.email, provider.name);
+    // Audit: SSO sign-in success
+    logAudit(user.id, 'oidc_login', { email: identity.email, provider: provider.name, subject: identity.subject });
+    return res.redirect(next);
+  } catch (err) {
+    console.error(`Error completing ${provider.name} sign-in:`, err);
+    // An HTTP error status means the IdP answered (e.g. a reused code); anything else is an outage
+    return err.status ? fail(400, 'failed', { error: err.message }) : fail(502, 'provider_error', { error: err.message });
+  }
+});
+
 // GET /auth/logout
 router.get('/logout', (req, res) => {
   if (req.user && req.user.id) {
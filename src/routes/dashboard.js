@@ -3,30 +3,190 @@
 const express = require('express');
 const router = express.Router();
 
-const { requireAuth } = require('../middleware/requireAuth');
-const { listKeys } = require('../models/apiKeys');
-const { getTodayCount } = require('../models/usage');
-const { config } = require('../config');
+const { requireAuth, verifyCsrf } = require('../middleware/requireAuth');
+const { loadOrgContext } = require('../middleware/orgContext');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { listKeys, listOrgKeys, isKeyExpired } = require('../models/apiKeys');
+const { canManageOrg } = require('../models/orgs');
+const { getUserById, isAdminUser, isSuspended, setUserLocale } = require('../models/users');
+const {
+  getTodayUsage,
+  getOrgTodayUsage,
+  getKeyTodayUsage,
+  getUserDailyLimit,
+  getOrgDailyLimit,
+  getUsageHistory,
+  getKeyUsageBreakdown,
+  getTopRoutes
+} = require('../models/usage');
+const { formatUnits } = require('../utils/costs');
+const { listAudits, listAuditTypes, logAudit } = require('../models/audits');
+const { LOCALE_NAMES, DEFAULT_LOCALE, normalizeLocale } = require('../utils/i18n');
+const { listRecentRequests } = require('../models/requestLogs');
+const { SCOPES } = require('../utils/scopes');
+
+const ACTIVITY_PAGE_SIZE = 50;
+const ACTIVITY_EXPORT_MAX = 10000;
+const HISTORY_WINDOWS = [30, 90];
+
+function historyDays(query) {
+  const n = parseInt(query.days, 10);
+  return HISTORY_WINDOWS.includes(n) ? n : HISTORY_WINDOWS[0];
+}
+
+// Usage history, per-key breakdown and top routes for the last `days` days (the org's pool when orgId is set)
+async function buildUsageReport(userId, days, orgId = null) {
+  const round = (rows) => rows.map((r) => Object.assign({}, r, { units: Number(formatUnits(r.units)) }));
+  return {
+    days,
+    limit: (orgId ? await getOrgDailyLimit(orgId) : await getUserDailyLimit(userId)).limit,
+    history: round(await getUsageHistory(userId, days, orgId)),
+    keys: round(await getKeyUsageBreakdown(userId, days, orgId)),
+    routes: round(await getTopRoutes(userId, days, 10, orgId))
+  };
+}
 
  // GET /dashboard
-router.get('/', requireAuth, (req, res) => {
+router.get('/', requireAuth, loadOrgContext, asyncHandler(async (req, res) => {
   const userId = Number(req.user.id);
-  const keys = listKeys(userId);
+  const org = req.org;
+  const orgId = org ? Number(org.id) : null;
+  const keys = org ? await listOrgKeys(orgId) : await listKeys(userId);
 
   if (process.env.NODE_ENV !== 'production') {
     try { console.log('DEBUG dashboard: userId=%s keys=%j', userId, keys); } catch (_) {}
   }
 
-  const usageToday = getTodayCount(userId);
-  const dailyLimit = config.defaultDailyLimit;
+  for (const k of keys) {
+    k.expired = isKeyExpired(k);
+    if (k.daily_limit) k.usage_today = formatUnits((await getKeyTodayUsage(k.id)).units);
+  }
+
+  const today = org ? await getOrgTodayUsage(orgId) : await getTodayUsage(userId);
+  const usageToday = Number(formatUnits(today.units));
+  const requestsToday = today.count;
+  const { limit: dailyLimit, plan } = org ? await getOrgDailyLimit(orgId) : await getUserDailyLimit(userId);
+
+  const user = await getUserById(userId);
+  const report = await buildUsageReport(userId, historyDays(req.query), orgId);
 
   res.render('dashboard', {
     title: 'Dashboard',
+    isAdmin: isAdminUser(user),
+    suspended: isSuspended(user),
     keys,
     usageToday,
+    requestsToday,
     dailyLimit,
+    plan,
+    report,
+    recentRequests: await listRecentRequests(userId, 25, orgId),
+    // Org members without owner/admin get a read-only view
+    canManageKeys: !org || canManageOrg(org.role),
+    historyWindows: HISTORY_WINDOWS,
+    scopes: SCOPES,
+    locale: normalizeLocale(user.locale) || DEFAULT_LOCALE,
+    locales: LOCALE_NAMES,
     csrfToken: res.locals.csrfToken
   });
-});
+}));
+
+// POST /dashboard/locale (language for login codes and notification emails)
+router.post('/locale', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
+  const locale = normalizeLocale(req.body && req.body.locale);
+  if (!locale) return res.status(400).send('Unsupported language');
+  await setUserLocale(Number(req.user.id), locale);
+  // Audit: email language changed
+  logAudit(Number(req.user.id), 'locale_update', { locale });
+  return res.redirect('/dashboard');
+}));
+
+// GET /dashboard/usage.json?days=30|90
+router.get('/usage.json', requireAuth, loadOrgContext, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  res.json(await buildUsageReport(userId, historyDays(req.query), req.org ? Number(req.org.id) : null));
+}));
+
+// Activity filters from the query string (own events only)
+function activityFilters(userId, query) {
+  const isDate = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const prefix = String(query.prefix || '').trim();
+  return {
+    userId,
+    type: String(query.type || '').trim() || null,
+    prefix: /^[A-Za-z0-9_-]{1,64}$/.test(prefix) ? prefix : null,
+    from: isDate(query.from) ? query.from : null,
+    to: isDate(query.to) ? query.to : null
+  };
+}
+
+function filtersQueryString(filters) {
+  const params = new URLSearchParams();
+  for (const k of ['type', 'prefix', 'from', 'to']) {
+    if (filters[k]) params.set(k, filters[k]);
+  }
+  return params.toString();
+}
+
+function parseDetails(details) {
+  if (!details) return null;
+  try {
+    return JSON.parse(details);
+  } catch (_) {
+    return details;
+  }
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// GET /dashboard/activity
+router.get('/activity', requireAuth, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const filters = activityFilters(userId, req.query);
+  const pageNum = parseInt(req.query.page, 10);
+  const page = Number.isFinite(pageNum) && pageNum > 0 ? pageNum : 1;
+  const { rows, total } = await listAudits(filters, { limit: ACTIVITY_PAGE_SIZE, offset: (page - 1) * ACTIVITY_PAGE_SIZE });
+
+  res.render('activity', {
+    title: 'Activity',
+    events: rows,
+    types: await listAuditTypes(userId),
+    keys: await listKeys(userId, { includeOrg: true }),
+    filters,
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / ACTIVITY_PAGE_SIZE)),
+    queryString: filtersQueryString(filters)
+  });
+}));
+
+// GET /dashboard/activity.json and /dashboard/activity.csv (same filters, no paging)
+router.get('/activity.:format(json|csv)', requireAuth, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const filters = activityFilters(userId, req.query);
+  const { rows } = await listAudits(filters, { limit: ACTIVITY_EXPORT_MAX, offset: 0 });
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (req.params.format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="activity-${stamp}.json"`);
+    return res.json(rows.map((r) => ({
+      id: r.id,
+      created_at: r.created_at,
+      type: r.type,
+      details: parseDetails(r.details)
+    })));
+  }
+
+  const lines = ['id,created_at,type,details'];
+  for (const r of rows) {
+    lines.push([r.id, r.created_at, r.type, r.details].map(csvCell).join(','));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="activity-${stamp}.csv"`);
+  return res.send(lines.join('\r\n') + '\r\n');
+}));
 
 module.exports = router;
\ No newline at end of file
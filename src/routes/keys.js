@@ -4,33 +4,152 @@ const express = require('express');
 const router = express.Router();
 
 const { requireAuth, verifyCsrf } = require('../middleware/requireAuth');
-const { createKey, revokeKey } = require('../models/apiKeys');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { createKey, rotateKey, revokeKey, updateKeyRestrictions, getKeyById } = require('../models/apiKeys');
+const { getMemberRole, canManageOrg, getOrg } = require('../models/orgs');
+const { getUserById } = require('../models/users');
+const { sendKeyCreatedEmail, sendKeyRevokedEmail } = require('../utils/email');
 const { logAudit } = require('../models/audits');
+const metrics = require('../utils/metrics');
+const { parseScopes } = require('../utils/scopes');
+const { parseCidrList, parseOriginList } = require('../utils/keyRestrictions');
+
+// Choices offered by the dashboard forms
+const EXPIRY_DAYS = [7, 30, 90, 365];
+const GRACE_HOURS = [0, 1, 24, 168];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load a key the caller may manage: their own personal key, or a key of an org where they are owner/admin.
+ * Resolves to the key row (model calls then use key.user_id, the key's creator) or null.
+ */
+async function findManagedKey(userId, keyId) {
+  const key = await getKeyById(keyId);
+  if (!key) return null;
+  if (key.org_id) return canManageOrg(await getMemberRole(key.org_id, userId)) ? key : null;
+  return Number(key.user_id) === userId ? key : null;
+}
 
 // POST /keys/create
-router.post('/create', requireAuth, verifyCsrf, (req, res) => {
+router.post('/create', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
   const userId = Number(req.user.id);
   const label = (req.body.label || '').trim() || null;
+  // Checkbox values arrive as a string (one) or array (many); none means full access
+  const scopes = parseScopes(req.body.scopes);
+  const capRaw = String(req.body.daily_limit || '').trim();
+  const dailyLimit = capRaw ? parseInt(capRaw, 10) : null;
+  if (capRaw && (!Number.isFinite(dailyLimit) || dailyLimit <= 0)) {
+    return res.status(400).send('Daily cap must be a positive number.');
+  }
+  // Empty means the key never expires
+  const expiryRaw = String(req.body.expires_in_days || '').trim();
+  const expiryDays = expiryRaw ? parseInt(expiryRaw, 10) : null;
+  if (expiryRaw && !EXPIRY_DAYS.includes(expiryDays)) {
+    return res.status(400).send('Invalid expiry.');
+  }
+  const expiresAt = expiryDays ? new Date(Date.now() + expiryDays * DAY_MS) : null;
+  // Org keys draw on the org's quota; only owners and admins create them
+  const orgId = req.body.org_id ? Number(req.body.org_id) : null;
+  if (orgId !== null && !canManageOrg(await getMemberRole(orgId, userId))) {
+    return res.status(403).send('Only organization owners and admins can create keys.');
+  }
 
-  const result = createKey(userId, label);
+  const result = await createKey(userId, label, { scopes, dailyLimit, expiresAt, orgId });
   if (!result.ok) {
     return res.status(500).send('Failed to create API key. Please try again.');
   }
 
   // Audit: key created
-  logAudit(userId, 'key_create', { prefix: result.prefix, label });
+  logAudit(userId, 'key_create', { prefix: result.prefix, label, scopes: result.scopes, daily_limit: result.dailyLimit, expires_at: result.expiresAt, org_id: orgId });
+  metrics.keysCreated.inc();
+  // Security notice; delivery failures are audited by the email module
+  sendKeyCreatedEmail(req.user.email, { prefix: result.prefix, label, expiresAt: result.expiresAt }, orgId ? (await getOrg(orgId)).name : null);
 
   // Render a dedicated page showing the full key once
   return res.render('key-created', {
     title: 'API Key Created',
     apiKey: result.key,
     prefix: result.prefix,
+    scopes: scopes,
+    expiresAt: result.expiresAt,
+    rotatedFrom: null,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /keys/:id/rotate
+router.post('/:id/rotate', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const keyId = Number(req.params.id);
+  if (!Number.isFinite(keyId) || keyId <= 0) {
+    logAudit(userId, 'key_rotate_fail', { reason: 'invalid_id', keyId });
+    return res.status(400).send('Invalid key id');
+  }
+  const graceHours = parseInt(String(req.body.grace_hours || '0'), 10);
+  if (!GRACE_HOURS.includes(graceHours)) {
+    return res.status(400).send('Invalid grace period.');
+  }
+
+  const key = await findManagedKey(userId, keyId);
+  const r = key ? await rotateKey(key.user_id, keyId, graceHours * 60 * 60 * 1000) : { ok: false, reason: 'not_found' };
+  if (!r.ok) {
+    logAudit(userId, 'key_rotate_fail', { reason: r.reason || 'unknown', keyId });
+    if (r.reason === 'not_found') return res.status(404).send('Key not found');
+    if (r.reason === 'failed_to_create') return res.status(500).send('Failed to create API key. Please try again.');
+    return res.status(400).send('Only active keys that have not already been rotated can be rotated.');
+  }
+
+  logAudit(userId, 'key_rotate', {
+    keyId,
+    prefix: r.old.prefix,
+    new_prefix: r.prefix,
+    grace_hours: graceHours,
+    old_valid_until: r.old.validUntil,
+    org_id: key.org_id || null
+  });
+  metrics.keysCreated.inc();
+  if (!r.old.validUntil) metrics.keysRevoked.inc({ by: 'user' });
+
+  return res.render('key-created', {
+    title: 'API Key Rotated',
+    apiKey: r.key,
+    prefix: r.prefix,
+    scopes: r.scopes ? r.scopes.split(' ') : [],
+    expiresAt: r.expiresAt,
+    rotatedFrom: r.old,
     csrfToken: res.locals.csrfToken
   });
-});
+}));
+
+// POST /keys/:id/restrictions (empty lists remove the restriction)
+router.post('/:id/restrictions', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const keyId = Number(req.params.id);
+  if (!Number.isFinite(keyId) || keyId <= 0) {
+    return res.status(400).send('Invalid key id');
+  }
+  const cidrs = parseCidrList(req.body.allowed_ips);
+  if (!cidrs.ok) {
+    return res.status(400).type('text').send(`Invalid IP address or CIDR range: ${cidrs.invalid.join(', ')}`);
+  }
+  const origins = parseOriginList(req.body.allowed_origins);
+  if (!origins.ok) {
+    return res.status(400).type('text').send(`Invalid origin (use scheme://host[:port]): ${origins.invalid.join(', ')}`);
+  }
+
+  const key = await findManagedKey(userId, keyId);
+  const r = key ? await updateKeyRestrictions(key.user_id, keyId, cidrs.value, origins.value) : { ok: false, reason: 'not_found' };
+  if (!r.ok) {
+    if (r.reason === 'not_found') return res.status(404).send('Key not found');
+    return res.status(400).send('Revoked keys cannot be changed');
+  }
+
+  logAudit(userId, 'key_restrictions_update', { keyId, prefix: r.prefix, allowed_cidrs: cidrs.value, allowed_origins: origins.value, org_id: key.org_id || null });
+  return res.redirect('/dashboard');
+}));
 
 // POST /keys/:id/revoke
-router.post('/:id/revoke', requireAuth, verifyCsrf, (req, res) => {
+router.post('/:id/revoke', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
   const userId = Number(req.user.id);
   const keyId = Number(req.params.id);
   if (!Number.isFinite(keyId) || keyId <= 0) {
@@ -38,7 +157,8 @@ router.post('/:id/revoke', requireAuth, verifyCsrf, (req, res) => {
     return res.status(400).send('Invalid key id');
   }
 
-  const r = revokeKey(userId, keyId);
+  const key = await findManagedKey(userId, keyId);
+  const r = key ? await revokeKey(key.user_id, keyId) : { ok: false, reason: 'not_found' };
   if (!r.ok) {
     if (r.reason === 'not_found') {
       logAudit(userId, 'key_revoke_fail', { reason: 'not_found', keyId });
@@ -48,8 +168,12 @@ router.post('/:id/revoke', requireAuth, verifyCsrf, (req, res) => {
     return res.status(400).send('Unable to revoke key');
   }
 
-  logAudit(userId, 'key_revoke', { keyId });
+  logAudit(userId, 'key_revoke', { keyId, prefix: r.prefix, org_id: key.org_id || null });
+  metrics.keysRevoked.inc({ by: 'user' });
+  // Tell the key's creator (for org keys this may be someone else)
+  const owner = await getUserById(key.user_id);
+  if (owner) sendKeyRevokedEmail(owner.email, key, false);
   return res.redirect('/dashboard');
-});
+}));
 
 module.exports = router;
\ No newline at end of file
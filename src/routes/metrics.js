@@ -0,0 +1,47 @@
+'use strict';
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const { config } = require('../config');
+const { getUserById, isAdminUser } = require('../models/users');
+const { registry } = require('../utils/metrics');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// Constant-time comparison of the bearer token against METRICS_TOKEN
+function hasMetricsToken(req) {
+  if (!config.metrics.token) return false;
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!m) return false;
+  const a = crypto.createHash('sha256').update(m[1].trim()).digest();
+  const b = crypto.createHash('sha256').update(config.metrics.token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Scrapers authenticate with METRICS_TOKEN; admins can also view it from a browser session
+const requireMetricsAccess = asyncHandler(async (req, res, next) => {
+  if (hasMetricsToken(req)) return next();
+  if (req.user && isAdminUser(await getUserById(req.user.id))) return next();
+  res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+  return res.status(401).json({ error: 'Unauthorized', request_id: req.requestId });
+});
+
+// GET /metrics (Prometheus text format)
+router.get('/', requireMetricsAccess, async (req, res) => {
+  try {
+    res.setHeader('Content-Type', registry.contentType);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.end(await registry.metrics());
+  } catch (err) {
+    console.error('Failed to collect metrics:', err);
+    return res.status(500).json({ error: 'Failed to collect metrics', request_id: req.requestId });
+  }
+});
+
+// Anything else under /metrics stays here instead of falling through to the upstream proxy
+router.use((req, res) => {
+  res.status(404).json({ error: 'Not Found', request_id: req.requestId });
+});
+
+module.exports = router;
\ No newline at end of file
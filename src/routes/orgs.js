@@ -0,0 +1,229 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { config } = require('../config');
+const { requireAuth, verifyCsrf } = require('../middleware/requireAuth');
+const { loadOrgContext, setOrgCookie, clearOrgCookie } = require('../middleware/orgContext');
+const { asyncHandler } = require('../utils/asyncHandler');
+const {
+  ORG_ROLES,
+  canManageOrg,
+  getOrg,
+  createOrg,
+  getMemberRole,
+  listMembers,
+  setMemberRole,
+  removeMember,
+  createInvite,
+  listPendingInvites,
+  revokeInvite,
+  findInvite,
+  acceptInvite
+} = require('../models/orgs');
+const { getOrgDailyLimit } = require('../models/usage');
+const { logAudit } = require('../models/audits');
+const { sendOrgInviteEmail } = require('../utils/email');
+const metrics = require('../utils/metrics');
+
+const ORG_NAME_MAX = 80;
+
+function isValidEmail(email) {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function parseId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Record each org key revoked because its creator left the org on the creator's trail
+function auditRevokedKeys(userId, orgId, keys) {
+  for (const k of keys) {
+    logAudit(userId, 'key_revoke', { keyId: k.id, prefix: k.prefix, org_id: orgId, by: 'org_removal' });
+    metrics.keysRevoked.inc({ by: 'org_removal' });
+  }
+}
+
+// Middleware: load the org in :id and the caller's role; 404 for non-members so org ids are not probed
+const loadMembership = asyncHandler(async (req, res, next) => {
+  const orgId = parseId(req.params.id);
+  const role = orgId ? await getMemberRole(orgId, Number(req.user.id)) : null;
+  if (!role) return res.status(404).send('Organization not found');
+  req.orgRole = role;
+  req.orgId = orgId;
+  return next();
+});
+
+function requireOrgManager(req, res, next) {
+  if (!canManageOrg(req.orgRole)) return res.status(403).send('Only owners and admins can do that');
+  return next();
+}
+
+// GET /orgs
+router.get('/', requireAuth, loadOrgContext, (req, res) => {
+  res.render('orgs', {
+    title: 'Organizations',
+    error: null,
+    csrfToken: res.locals.csrfToken
+  });
+});
+
+// POST /orgs/create
+router.post('/create', requireAuth, verifyCsrf, loadOrgContext, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const name = String(req.body.name || '').trim();
+  if (!name || name.length > ORG_NAME_MAX) {
+    return res.status(400).render('orgs', {
+      title: 'Organizations',
+      error: `Name must be 1-${ORG_NAME_MAX} characters.`,
+      csrfToken: res.locals.csrfToken
+    });
+  }
+  const org = await createOrg(userId, name);
+  logAudit(userId, 'org_create', { org_id: org.id, name });
+  setOrgCookie(res, org.id);
+  return res.redirect(`/orgs/${org.id}`);
+}));
+
+// POST /orgs/switch (empty org_id switches back to personal keys)
+router.post('/switch', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
+  const orgId = parseId(req.body.org_id);
+  if (!orgId) {
+    clearOrgCookie(res);
+    return res.redirect('/dashboard');
+  }
+  if (!(await getMemberRole(orgId, Number(req.user.id)))) return res.status(404).send('Organization not found');
+  setOrgCookie(res, orgId);
+  return res.redirect('/dashboard');
+}));
+
+// GET /orgs/invites/:token (login redirects back here, which proves the invited email)
+router.get('/invites/:token', requireAuth, asyncHandler(async (req, res) => {
+  const found = await findInvite(req.params.token);
+  const invite = found.invite || null;
+  const emailMatches = invite && String(invite.email).toLowerCase() === String(req.user.email || '').toLowerCase();
+  res.status(found.ok ? 200 : 400).render('org-invite', {
+    title: 'Organization Invite',
+    invite,
+    reason: found.ok ? (emailMatches ? null : 'wrong_email') : found.reason,
+    token: req.params.token,
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /orgs/invites/:token/accept
+router.post('/invites/:token/accept', requireAuth, verifyCsrf, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const r = await acceptInvite(req.params.token, userId, req.user.email);
+  if (!r.ok) {
+    logAudit(userId, 'org_join_fail', { reason: r.reason, org_id: r.invite ? r.invite.org_id : null });
+    return res.status(400).render('org-invite', {
+      title: 'Organization Invite',
+      invite: r.invite || null,
+      reason: r.reason,
+      token: req.params.token,
+      csrfToken: res.locals.csrfToken
+    });
+  }
+  logAudit(userId, 'org_join', { org_id: r.invite.org_id, role: r.role });
+  setOrgCookie(res, r.invite.org_id);
+  return res.redirect('/dashboard');
+}));
+
+// GET /orgs/:id
+router.get('/:id(\\d+)', requireAuth, loadMembership, loadOrgContext, asyncHandler(async (req, res) => {
+  const org = await getOrg(req.orgId);
+  const canManage = canManageOrg(req.orgRole);
+  res.render('org', {
+    title: org.name,
+    org,
+    quota: await getOrgDailyLimit(req.orgId),
+    role: req.orgRole,
+    canManage,
+    isOwner: req.orgRole === 'owner',
+    members: await listMembers(req.orgId),
+    invites: canManage ? await listPendingInvites(req.orgId) : [],
+    roles: ORG_ROLES,
+    error: null,
+    currentUserId: Number(req.user.id),
+    csrfToken: res.locals.csrfToken
+  });
+}));
+
+// POST /orgs/:id/invites
+router.post('/:id(\\d+)/invites', requireAuth, verifyCsrf, loadMembership, requireOrgManager, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const role = String(req.body.role || 'member');
+  if (!isValidEmail(email)) return res.status(400).send('Please enter a valid email address.');
+
+  const r = await createInvite(req.orgId, email, role, userId);
+  if (!r.ok) return res.status(400).send('Invalid role.');
+
+  const org = await getOrg(req.orgId);
+  const link = `${config.siteBaseUrl}/orgs/invites/${r.token}`;
+  const sent = await sendOrgInviteEmail(email, {
+    orgName: org.name,
+    inviterEmail: req.user.email,
+    link,
+    expiresAt: r.expiresAt
+  });
+  logAudit(userId, 'org_invite', { org_id: req.orgId, email, role, email_sent: sent.ok });
+  return res.redirect(`/orgs/${req.orgId}`);
+}));
+
+// POST /orgs/:id/invites/:inviteId/revoke
+router.post('/:id(\\d+)/invites/:inviteId(\\d+)/revoke', requireAuth, verifyCsrf, loadMembership, requireOrgManager, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const r = await revokeInvite(req.orgId, Number(req.params.inviteId));
+  if (!r.ok) return res.status(r.reason === 'not_found' ? 404 : 400).send('Invite is no longer pending');
+  logAudit(userId, 'org_invite_revoke', { org_id: req.orgId, email: r.email });
+  return res.redirect(`/orgs/${req.orgId}`);
+}));
+
+// POST /orgs/:id/members/:userId/role (owners only)
+router.post('/:id(\\d+)/members/:userId(\\d+)/role', requireAuth, verifyCsrf, loadMembership, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  if (req.orgRole !== 'owner') return res.status(403).send('Only owners can change roles');
+  const memberId = Number(req.params.userId);
+  const role = String(req.body.role || '');
+  const r = await setMemberRole(req.orgId, memberId, role);
+  if (!r.ok) {
+    if (r.reason === 'not_member') return res.status(404).send('Member not found');
+    if (r.reason === 'last_owner') return res.status(400).send('An organization needs at least one owner.');
+    return res.status(400).send('Invalid role.');
+  }
+  logAudit(userId, 'org_member_role', { org_id: req.orgId, member_id: memberId, role, previous: r.previous });
+  return res.redirect(`/orgs/${req.orgId}`);
+}));
+
+// POST /orgs/:id/members/:userId/remove (owners remove anyone, admins remove members)
+router.post('/:id(\\d+)/members/:userId(\\d+)/remove', requireAuth, verifyCsrf, loadMembership, requireOrgManager, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const memberId = Number(req.params.userId);
+  const memberRole = await getMemberRole(req.orgId, memberId);
+  if (!memberRole) return res.status(404).send('Member not found');
+  if (req.orgRole !== 'owner' && memberRole !== 'member') {
+    return res.status(403).send('Only owners can remove owners and admins');
+  }
+  const r = await removeMember(req.orgId, memberId);
+  if (!r.ok) return res.status(400).send('An organization needs at least one owner.');
+  logAudit(userId, 'org_member_remove', { org_id: req.orgId, member_id: memberId, role: r.role, revoked_keys: r.revokedKeys.map((k) => k.prefix) });
+  auditRevokedKeys(memberId, req.orgId, r.revokedKeys);
+  return res.redirect(`/orgs/${req.orgId}`);
+}));
+
+// POST /orgs/:id/leave
+router.post('/:id(\\d+)/leave', requireAuth, verifyCsrf, loadMembership, asyncHandler(async (req, res) => {
+  const userId = Number(req.user.id);
+  const r = await removeMember(req.orgId, userId);
+  if (!r.ok) return res.status(400).send('Make someone else an owner before leaving.');
+  logAudit(userId, 'org_leave', { org_id: req.orgId, role: r.role, revoked_keys: r.revokedKeys.map((k) => k.prefix) });
+  auditRevokedKeys(userId, req.orgId, r.revokedKeys);
+  clearOrgCookie(res);
+  return res.redirect('/orgs');
+}));
+
+module.exports = router;
\ No newline at end of file
@@ -6,142 +6,618 @@ const qs = require('querystring');
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const crypto = require('crypto');
 const { config, blockedInternalDocsPaths, normalizeInternalPath } = require('../config');
 const { validateFullKey, touchKeyUsage } = require('../models/apiKeys');
-const { incrementToday, isOverLimit, getTodayCount } = require('../models/usage');
+const { incrementToday, getQuotaStatus } = require('../models/usage');
 const { logAudit } = require('../models/audits');
+const { logRequest } = require('../models/requestLogs');
+const { requiredScope, hasScope } = require('../utils/scopes');
+const { normalizeIp, isIpAllowed, isOriginAllowed } = require('../utils/keyRestrictions');
+const { routeCost, formatUnits } = require('../utils/costs');
+const { canonicalPath, isApiPath, isKnownApiRoute, routeTemplate, routeGroup } = require('../utils/routes');
+const metrics = require('../utils/metrics');
+const { checkQuotaWarning } = require('../quotaWarnings');
+const { createSlidingWindowLimiter } = require('../utils/rateLimiter');
+const { asyncHandler } = require('../utils/asyncHandler');
+const {
+  recordExecution,
+  isExecutionOwner,
+  listOwnedExecutionIds,
+  recordCheckpoints,
+  isCheckpointOwner
+} = require('../models/executions');
 
 const router = express.Router();
 
+const burstLimiter = createSlidingWindowLimiter(config.rateLimit.windowSeconds * 1000);
+
 function secondsUntilNextUtcMidnight(d = new Date()) {
   const next = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1, 0, 0, 0));
   return Math.max(0, Math.floor((next.getTime() - d.getTime()) / 1000));
 }
 
+function chunkBytes(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  if (Buffer.isBuffer(chunk)) return chunk.length;
+  return Buffer.byteLength(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+// Prometheus counters/histograms for a finished proxy request
+function recordMetrics(req, res, durationMs) {
+  try {
+    const group = routeGroup(req.method, req.canonicalPath || normalizeInternalPath(req.path || '/'));
+    metrics.proxyRequests.inc({ route_group: group, method: req.method, status: String(res.statusCode) });
+    metrics.proxyDuration.observe({ route_group: group }, durationMs / 1000);
+    if (Number.isFinite(req.upstreamMs)) metrics.upstreamDuration.observe({ route_group: group }, req.upstreamMs / 1000);
+    if (req.upstreamError) metrics.upstreamErrors.inc({ route_group: group, code: req.upstreamError });
+    if (req.blockReason) metrics.proxyBlocks.inc({ status: String(res.statusCode), reason: req.blockReason });
+  } catch (_) {}
+}
+
+/**
+ * Record every request that reaches the proxy router (forwarded or blocked) in
+ * request_logs once the response has finished or the connection closed.
+ */
+function requestLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  req.requestId = req.requestId || crypto.randomUUID();
+
+  // Count response bytes as they are written
+  let resBytes = 0;
+  const origWrite = res.write;
+  const origEnd = res.end;
+  res.write = function write(chunk, encoding, cb) {
+    resBytes += chunkBytes(chunk, encoding);
+    return origWrite.call(this, chunk, encoding, cb);
+  };
+  res.end = function end(chunk, encoding, cb) {
+    resBytes += chunkBytes(chunk, encoding);
+    return origEnd.call(this, chunk, encoding, cb);
+  };
+
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    const auth = req.authProxy || {};
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    recordMetrics(req, res, durationMs);
+    const headerBytes = Number(req.headers['content-length']);
+    try {
+      logRequest({
+        requestId: req.requestId,
+        userId: auth.userId,
+        keyId: auth.keyId,
+        prefix: auth.prefix,
+        method: req.method,
+        path: normalizeInternalPath(req.path || '/'),
+        status: res.statusCode,
+        durationMs,
+        upstreamMs: req.upstreamMs,
+        reqBytes: Number.isFinite(req.forwardedBytes) ? req.forwardedBytes : (Number.isFinite(headerBytes) ? headerBytes : 0),
+        resBytes,
+        upstreamError: req.upstreamError || (res.writableFinished ? null : 'client_closed')
+      });
+    } catch (err) {
+      try { console.error('Failed to write request log:', err && err.message); } catch (_) {}
+    }
+  };
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+}
+
+// Client address forwarded upstream as x-real-ip and checked against key CIDR allowlists.
+// req.ip honours the app's 'trust proxy' setting, so a client cannot spoof it with its own X-Forwarded-For.
+function clientIp(req) {
+  return normalizeIp(req.ip || (req.socket && req.socket.remoteAddress) || '');
+}
+
+// Audit a rejected request and remember the reason for the blocks metric
+function auditBlock(req, userId, details) {
+  req.blockReason = details.reason;
+  logAudit(userId, 'proxy_block', details);
+}
+
+// X-RateLimit-* headers in quota units; Reset is the UTC epoch second when the daily window rolls over
+function setRateLimitHeaders(res, limit, remaining, resetSeconds) {
+  const resetEpoch = Math.floor(Date.now() / 1000) + resetSeconds;
+  res.setHeader('X-RateLimit-Limit', formatUnits(limit));
+  res.setHeader('X-RateLimit-Remaining', formatUnits(Math.max(0, remaining)));
+  res.setHeader('X-RateLimit-Reset', String(resetEpoch));
+}
+
+// Key validation awaits scrypt off the event loop; errors go to the Express error handler
 function proxyAuthGuard(req, res, next) {
-  const reqPath = normalizeInternalPath(req.path || '/');
+  authenticate(req, res, next).catch(next);
+}
+
+// Path as sent, plus the query string, for forwarding the canonical path upstream
+function upstreamUrl(req, reqPath) {
+  const url = req.originalUrl || req.url || '/';
+  const q = url.indexOf('?');
+  const encoded = reqPath.split('/').map((seg) => encodeURIComponent(seg)).join('/');
+  return q === -1 ? encoded : encoded + url.slice(q);
+}
+
+async function authenticate(req, res, next) {
+  const rawPath = normalizeInternalPath(req.path || '/');
+  // Decode once and collapse slashes so every check below sees the path the upstream will route
+  const reqPath = canonicalPath(rawPath);
+  if (reqPath === null) {
+    // Audit: undecodable or dot-segment path
+    auditBlock(req, null, { reason: 'bad_path', path: rawPath });
+    return res.status(400).json({ error: 'Invalid request path', request_id: req.requestId });
+  }
+  req.canonicalPath = reqPath;
+  req.upstreamUrl = upstreamUrl(req, reqPath);
 
   // Block internal docs and openapi endpoints
   if (blockedInternalDocsPaths.has(reqPath)) {
     // Audit: blocked docs access
-    logAudit(null, 'proxy_block', { reason: 'docs', path: reqPath });
-    return res.status(404).json({ error: 'Not Found' });
+    auditBlock(req, null, { reason: 'docs', path: reqPath });
+    return res.status(404).json({ error: 'Not Found', request_id: req.requestId });
+  }
+
+  // Fail closed: only documented ROMA routes are forwarded under /api/v1
+  if (isApiPath(reqPath) && !isKnownApiRoute(reqPath)) {
+    // Audit: unknown API route
+    auditBlock(req, null, { reason: 'unknown_route', path: rawPath });
+    return res.status(404).json({ error: 'Not Found', request_id: req.requestId });
   }
 
   // Header: X-API-Key
   const apiKey = req.get('X-API-Key') || req.get('x-api-key');
   if (!apiKey) {
     // Audit: missing API key
-    logAudit(null, 'proxy_block', { reason: 'missing_key', path: reqPath });
-    return res.status(401).json({ error: 'Missing X-API-Key header' });
+    auditBlock(req, null, { reason: 'missing_key', path: reqPath });
+    return res.status(401).json({ error: 'Missing X-API-Key header', request_id: req.requestId });
   }
 
   // Validate key
-  const v = validateFullKey(apiKey);
+  const v = await validateFullKey(apiKey);
+  if (!v.ok && v.reason === 'suspended') {
+    // Audit: key of a suspended account
+    auditBlock(req, v.userId, { reason: 'suspended', prefix: v.prefix, path: reqPath });
+    return res.status(403).json({ error: 'Account suspended', reason: 'suspended', request_id: req.requestId });
+  }
+  if (!v.ok && v.reason === 'expired') {
+    auditBlock(req, v.userId, { reason: 'expired', prefix: v.prefix, path: reqPath });
+    return res.status(401).json({ error: 'API key expired', reason: 'expired', request_id: req.requestId });
+  }
   if (!v.ok) {
-    // Audit: invalid API key
-    logAudit(null, 'proxy_block', { reason: v.reason || 'invalid_key', path: reqPath });
-    return res.status(401).json({ error: 'Invalid API key', reason: v.reason });
+    // Audit: invalid API key (attributed to the key owner when the prefix matched)
+    auditBlock(req, v.userId || null, { reason: v.reason || 'invalid_key', prefix: v.prefix || null, path: reqPath });
+    return res.status(401).json({ error: 'Invalid API key', reason: v.reason, request_id: req.requestId });
+  }
+
+  // Per-key IP and Origin restrictions
+  const ip = clientIp(req);
+  if (!isIpAllowed(v.allowedCidrs, ip)) {
+    auditBlock(req, v.userId, { reason: 'ip_denied', prefix: v.prefix, ip, path: reqPath });
+    return res.status(403).json({ error: 'API key not allowed from this IP address', reason: 'ip_denied', request_id: req.requestId });
+  }
+  const origin = req.get('origin');
+  if (!isOriginAllowed(v.allowedOrigins, origin)) {
+    auditBlock(req, v.userId, { reason: 'origin_denied', prefix: v.prefix, origin, path: reqPath });
+    return res.status(403).json({ error: 'API key not allowed from this origin', reason: 'origin_denied', request_id: req.requestId });
+  }
+
+  // Scope check (before quota so forbidden calls are not charged)
+  const scope = requiredScope(req.method, reqPath);
+  if (!hasScope(v.scopes, scope)) {
+    // Audit: key lacks the scope for this route
+    auditBlock(req, v.userId, { reason: 'scope', scope, prefix: v.prefix, path: reqPath, method: req.method });
+    return res.status(403).json({ error: 'API key lacks required scope', missing_scope: scope, request_id: req.requestId });
   }
 
-  // Daily quota check
-  if (isOverLimit(v.userId, config.defaultDailyLimit)) {
-    const count = getTodayCount(v.userId);
-    const resetSeconds = secondsUntilNextUtcMidnight();
+  // Attach metadata for ownership checks, metering and logging
+  req.authProxy = { userId: v.userId, orgId: v.orgId, keyId: v.keyId, prefix: v.prefix, scopes: v.scopes };
+  next();
+}
+
+/**
+ * Charge an authenticated request that passed the ownership checks: quota, short-window
+ * limits, usage counters and the proxy_hit audit. Runs last so blocked calls are never billed.
+ */
+async function meterRequest(req, res, next) {
+  const reqPath = req.canonicalPath;
+  const v = req.authProxy;
+
+  // Daily quota check in weighted units (user limit from plan/override, plus optional per-key cap),
+  // then short-window limits per key, per user (or org, for org keys) and across all users.
+  // Both checks and the charge run in getQuotaStatus's synchronous step, so concurrent requests cannot overshoot.
+  const cost = routeCost(req.method, reqPath);
+  const { quota, burst } = await getQuotaStatus(v.userId, v.keyId, cost, v.orgId, (status) => {
+    if (status.over) return { quota: status, burst: null };
+    const result = burstLimiter.consume([
+      { name: `key:${v.keyId}`, scope: 'key', limit: config.rateLimit.perKey },
+      v.orgId
+        ? { name: `org:${v.orgId}`, scope: 'org', limit: config.rateLimit.perUser }
+        : { name: `user:${v.userId}`, scope: 'user', limit: config.rateLimit.perUser },
+      { name: 'global', scope: 'global', limit: config.rateLimit.global }
+    ]);
+    // Increment usage before proxying (counts regardless of upstream outcome)
+    if (result.ok) incrementToday(v.userId, v.keyId, cost, { method: req.method, template: routeTemplate(reqPath) }, v.orgId);
+    return { quota: status, burst: result };
+  });
+  const resetSeconds = secondsUntilNextUtcMidnight();
+  setRateLimitHeaders(res, quota.limit, quota.remaining, resetSeconds);
+  if (quota.over) {
     // Audit: quota block
-    logAudit(v.userId, 'proxy_block', { reason: 'quota', count, limit: config.defaultDailyLimit, reset_seconds: resetSeconds, path: reqPath });
+    auditBlock(req, v.userId, { reason: 'quota', scope: quota.scope, prefix: v.prefix, count: quota.count, units_used: quota.used, cost, limit: quota.limit, reset_seconds: resetSeconds, path: reqPath });
+    return res.status(429).json({
+      error: quota.scope === 'key' ? 'Daily quota exceeded for this API key'
+        : quota.scope === 'org' ? 'Daily quota exceeded for this organization' : 'Daily quota exceeded',
+      units_used: Number(formatUnits(quota.used)),
+      cost,
+      limit: quota.limit,
+      count: quota.count,
+      reset_seconds: resetSeconds,
+      request_id: req.requestId
+    });
+  }
+
+  if (!burst.ok) {
+    // Audit: short-window rate limit block
+    auditBlock(req, v.userId, { reason: 'rate_limit', scope: burst.rule.scope, prefix: v.prefix, limit: burst.rule.limit, window_seconds: config.rateLimit.windowSeconds, retry_after: burst.retryAfterSeconds, path: reqPath });
+    res.setHeader('Retry-After', String(burst.retryAfterSeconds));
     return res.status(429).json({
-      error: 'Daily quota exceeded',
-      count,
-      limit: config.defaultDailyLimit,
-      reset_seconds: resetSeconds
+      error: 'Rate limit exceeded',
+      scope: burst.rule.scope,
+      limit: burst.rule.limit,
+      window_seconds: config.rateLimit.windowSeconds,
+      retry_after: burst.retryAfterSeconds,
+      request_id: req.requestId
     });
   }
 
-  // Increment usage before proxying (counts regardless of upstream outcome)
-  incrementToday(v.userId);
   touchKeyUsage(v.keyId);
+  checkQuotaWarning(v.userId, v.orgId, quota.pool.used + cost, quota.pool.limit)
+    .catch((err) => console.error('Quota warning failed:', err && err.message));
+  res.setHeader('X-RateLimit-Remaining', formatUnits(Math.max(0, quota.remaining - cost)));
   // Audit: proxy forwarded
-  logAudit(v.userId, 'proxy_hit', { path: reqPath, method: req.method });
-  
-  // Attach metadata for optional logging
-  req.authProxy = { userId: v.userId, keyId: v.keyId, prefix: v.prefix };
-  
+  logAudit(v.userId, 'proxy_hit', { prefix: v.prefix, path: reqPath, method: req.method, cost });
+  v.cost = cost;
+
   next();
 }
 
 const proxy = createProxyMiddleware({
   target: config.internalApiBase,
   changeOrigin: true,
-  logLevel: 'warn',
   xfwd: true,
   // Give upstream some time; Cloudflare edges typically cap ~100s
   timeout: 120000,
   proxyTimeout: 120000,
-  pathRewrite: (path, req) => path,
-  onProxyReq: (proxyReq, req, res) => {
-    // Strip client API key header before forwarding
-    try {
-      proxyReq.removeHeader('x-api-key');
-      proxyReq.removeHeader('X-API-Key');
-    } catch (_) {}
-
-    // Forward real IP (best-effort)
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-    proxyReq.setHeader('x-real-ip', ip);
-    // DEBUG: proxy request metadata
-    try {
-      const ctype = req.get('content-type') || req.headers['content-type'] || '';
-      const clen = req.get('content-length') || req.headers['content-length'] || '';
-      const hasBody = req.body && typeof req.body === 'object' ? Object.keys(req.body).length : 0;
-      console.log('DEBUG proxy onProxyReq method=%s url=%s ct=%s clenH=%s hasBodyKeys=%s', (req.method||'').toUpperCase(), req.originalUrl || req.url, ctype, clen, hasBody);
-    } catch (_) {}
-
-    // Re-stream parsed body (Express json/urlencoded) to upstream so POST/PUT/PATCH are not empty
-    const method = (req.method || 'GET').toUpperCase();
-    if (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE') {
-      if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
-        const contentTypeRaw = req.get('content-type') || req.headers['content-type'] || '';
-        const contentType = String(contentTypeRaw).toLowerCase();
-        let bodyBuf = null;
-
-        if (contentType.includes('application/json')) {
-          try { bodyBuf = Buffer.from(JSON.stringify(req.body)); } catch (_) {}
-        } else if (contentType.includes('application/x-www-form-urlencoded')) {
-          try { bodyBuf = Buffer.from(qs.stringify(req.body)); } catch (_) {}
-        }
+  pathRewrite: (path, req) => req.upstreamUrl || path,
+  // Event hooks (http-proxy-middleware v3 reads these from `on`)
+  on: {
+    proxyReq: (proxyReq, req, res) => {
+      req.upstreamStartedAt = Date.now();
+      // Correlate with the upstream call
+      if (req.requestId) proxyReq.setHeader('x-request-id', req.requestId);
+      // Strip client API key header before forwarding
+      try {
+        proxyReq.removeHeader('x-api-key');
+        proxyReq.removeHeader('X-API-Key');
+      } catch (_) {}
+
+      // Forward real IP (best-effort)
+      proxyReq.setHeader('x-real-ip', clientIp(req));
+      // DEBUG: proxy request metadata
+      try {
+        const ctype = req.get('content-type') || req.headers['content-type'] || '';
+        const clen = req.get('content-length') || req.headers['content-length'] || '';
+        const hasBody = req.body && typeof req.body === 'object' ? Object.keys(req.body).length : 0;
+        console.log('DEBUG proxy onProxyReq method=%s url=%s ct=%s clenH=%s hasBodyKeys=%s', (req.method||'').toUpperCase(), req.originalUrl || req.url, ctype, clen, hasBody);
+      } catch (_) {}
+
+      // Re-stream parsed body (Express json/urlencoded) to upstream so POST/PUT/PATCH are not empty
+      const method = (req.method || 'GET').toUpperCase();
+      if (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE') {
+        if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+          const contentTypeRaw = req.get('content-type') || req.headers['content-type'] || '';
+          const contentType = String(contentTypeRaw).toLowerCase();
+          let bodyBuf = null;
+
+          if (contentType.includes('application/json')) {
+            try { bodyBuf = Buffer.from(JSON.stringify(req.body)); } catch (_) {}
+          } else if (contentType.includes('application/x-www-form-urlencoded')) {
+            try { bodyBuf = Buffer.from(qs.stringify(req.body)); } catch (_) {}
+          }
 
-        if (bodyBuf && bodyBuf.length > 0) {
-          try {
-            // reset potentially conflicting headers before setting our own
-            try { proxyReq.removeHeader('content-length'); } catch (_) {}
-            try { proxyReq.removeHeader('transfer-encoding'); } catch (_) {}
-            try { proxyReq.removeHeader('expect'); } catch (_) {}
-
-            proxyReq.setHeader('content-type', contentType || 'application/json');
-            proxyReq.setHeader('content-length', bodyBuf.length);
-            proxyReq.write(bodyBuf);
-            // Explicitly end because the original req stream was already consumed by body parsers
-            try { proxyReq.end(); } catch (_) {}
-          } catch (_) {}
+          if (bodyBuf && bodyBuf.length > 0) {
+            try {
+              // reset potentially conflicting headers before setting our own
+              try { proxyReq.removeHeader('content-length'); } catch (_) {}
+              try { proxyReq.removeHeader('transfer-encoding'); } catch (_) {}
+              try { proxyReq.removeHeader('expect'); } catch (_) {}
+
+              proxyReq.setHeader('content-type', contentType || 'application/json');
+              proxyReq.setHeader('content-length', bodyBuf.length);
+              proxyReq.write(bodyBuf);
+              // Explicitly end because the original req stream was already consumed by body parsers
+              try { proxyReq.end(); } catch (_) {}
+            } catch (_) {}
+          }
         }
       }
+    },
+    proxyRes: (proxyRes, req, res) => {
+      if (req.upstreamStartedAt) req.upstreamMs = Date.now() - req.upstreamStartedAt;
+      // The proxy's own X-RateLimit-* and X-Request-Id headers take precedence over upstream ones
+      for (const h of Object.keys(proxyRes.headers || {})) {
+        const lh = h.toLowerCase();
+        if (lh.startsWith('x-ratelimit-') || lh === 'x-request-id') delete proxyRes.headers[h];
+      }
+      // Minimal pass-through; annotate response with user id
+      const userId = req.authProxy && req.authProxy.userId ? String(req.authProxy.userId) : '';
+      if (userId) res.setHeader('x-authproxy-user', userId);
+    },
+    error: (err, req, res) => {
+      try {
+        const code = (err && err.code) ? String(err.code) : 'proxy_error';
+        req.upstreamError = code;
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Upstream proxy error', code, request_id: req.requestId }));
+      } catch (_) {}
     }
-  },
-  onProxyRes: (proxyRes, req, res) => {
-    // Minimal pass-through; annotate response with user id
-    const userId = req.authProxy && req.authProxy.userId ? String(req.authProxy.userId) : '';
-    if (userId) res.setHeader('x-authproxy-user', userId);
-  },
-  onError: (err, req, res) => {
-    try {
-      const code = (err && err.code) ? String(err.code) : 'proxy_error';
-      res.writeHead(502, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Upstream proxy error', code }));
-    } catch (_) {}
   }
 });
 
+// Classify ROMA routes (canonical paths) that are subject to per-user execution ownership
+function matchOwnershipRoute(method, reqPath) {
+  const p = reqPath.replace(/\/+$/, '');
+  if (p === '/api/v1/executions') {
+    if (method === 'GET' || method === 'HEAD') return { kind: 'list' };
+    if (method === 'POST') return { kind: 'create' };
+    // Anything else could reach an unfiltered listing upstream
+    return { kind: 'method_not_allowed', allow: 'GET, POST' };
+  }
+  let m = p.match(/^\/api\/v1\/executions\/([^/]+)(\/.*)?$/);
+  if (m) return { kind: 'execution', id: m[1], rest: m[2] || '' };
+  m = p.match(/^\/api\/v1\/checkpoints\/([^/]+)(\/.*)?$/);
+  if (m) return { kind: 'checkpoint', id: m[1], rest: m[2] || '' };
+  return null;
+}
+
+// Pull the list of items out of a ROMA list response (bare array or wrapped)
+function listItems(json, field) {
+  if (Array.isArray(json)) return json;
+  if (json && Array.isArray(json[field])) return json[field];
+  if (json && Array.isArray(json.items)) return json.items;
+  return [];
+}
+
+function itemId(item, field) {
+  if (!item || typeof item !== 'object') return null;
+  const id = item[field] !== undefined ? item[field] : item.id;
+  return id !== undefined && id !== null ? String(id) : null;
+}
+
+// Keep only the caller's executions in a list response
+function filterExecutionList(json, ownedIds) {
+  const keep = (item) => ownedIds.has(itemId(item, 'execution_id'));
+  if (Array.isArray(json)) return json.filter(keep);
+  if (!json || typeof json !== 'object') return json;
+  const field = Array.isArray(json.executions) ? 'executions' : (Array.isArray(json.items) ? 'items' : null);
+  if (!field) return json;
+  const filtered = json[field].filter(keep);
+  const out = Object.assign({}, json, { [field]: filtered });
+  if (typeof json.total === 'number') out.total = filtered.length;
+  return out;
+}
+
+/**
+ * Per-user ownership isolation for executions and checkpoints.
+ * Executions are owned by whoever created them through this proxy; checkpoints
+ * become reachable once they were listed under an execution the caller owns.
+ * Runs before meterRequest so requests for someone else's runs are not charged.
+ */
+async function ownershipGuard(req, res, next) {
+  const method = String(req.method || 'GET').toUpperCase();
+  const reqPath = req.canonicalPath;
+  const route = matchOwnershipRoute(method, reqPath);
+  if (!route) return next();
+
+  if (route.kind === 'method_not_allowed') {
+    res.setHeader('Allow', route.allow);
+    return res.status(405).json({ error: 'Method Not Allowed', request_id: req.requestId });
+  }
+
+  // Org keys share ownership through orgId; personal keys through userId
+  const { userId, orgId, keyId, prefix } = req.authProxy;
+
+  if (route.kind === 'create') {
+    req.interceptJson = async (json) => {
+      const executionId = json && (json.execution_id || json.id);
+      if (executionId) await recordExecution(userId, keyId, executionId, orgId);
+      return json;
+    };
+    return next();
+  }
+
+  if (route.kind === 'list') {
+    req.interceptJson = async (json) => filterExecutionList(json, await listOwnedExecutionIds(userId, orgId));
+    return next();
+  }
+
+  if (route.kind === 'execution') {
+    if (!(await isExecutionOwner(userId, route.id, orgId))) {
+      // Audit: access to an execution owned by someone else (or unknown)
+      auditBlock(req, userId, { reason: 'not_owner', prefix, path: reqPath, execution_id: route.id });
+      return res.status(404).json({ error: 'Execution not found', request_id: req.requestId });
+    }
+    if (method === 'GET' && route.rest === '/checkpoints') {
+      req.interceptJson = async (json) => {
+        const ids = listItems(json, 'checkpoints').map((c) => itemId(c, 'checkpoint_id'));
+        await recordCheckpoints(userId, route.id, ids, orgId);
+        return json;
+      };
+    }
+    return next();
+  }
+
+  if (route.kind === 'checkpoint' && !(await isCheckpointOwner(userId, route.id, orgId))) {
+    // Audit: access to a checkpoint outside the caller's executions
+    auditBlock(req, userId, { reason: 'not_owner', prefix, path: reqPath, checkpoint_id: route.id });
+    return res.status(404).json({ error: 'Checkpoint not found', request_id: req.requestId });
+  }
+
+  return next();
+}
+
+function isJsonResponse(upstreamRes) {
+  const ctype = String((upstreamRes.headers && upstreamRes.headers['content-type']) || '').toLowerCase();
+  return ctype.includes('application/json');
+}
+
+// Copy upstream status and headers onto the client response
+function copyUpstreamHead(upstreamRes, req, res, skip = []) {
+  res.statusCode = upstreamRes.statusCode || 502;
+  const respHeaders = upstreamRes.headers || {};
+  for (const k in respHeaders) {
+    if (!Object.prototype.hasOwnProperty.call(respHeaders, k)) continue;
+    const lk = k.toLowerCase();
+    if (lk === 'transfer-encoding') continue; // avoid TE issues
+    if (lk.startsWith('x-ratelimit-')) continue; // keep the proxy's own quota headers
+    if (lk === 'x-request-id') continue; // keep the proxy's request id
+    if (skip.includes(lk)) continue;
+    try { res.setHeader(k, respHeaders[k]); } catch (_) {}
+  }
+  // annotate with user id
+  const userId = req.authProxy && req.authProxy.userId ? String(req.authProxy.userId) : '';
+  if (userId) res.setHeader('x-authproxy-user', userId);
+}
+
+// Headers for a manual upstream request, without client credentials
+function upstreamHeaders(req) {
+  const headers = Object.assign({}, req.headers);
+  delete headers['x-api-key'];
+  delete headers['X-API-Key'];
+  delete headers['host'];
+  headers['x-real-ip'] = clientIp(req);
+  if (req.requestId) headers['x-request-id'] = req.requestId;
+  return headers;
+}
+
+/**
+ * Send a request upstream with node http(s) and relay the response.
+ * body === null streams the original request; otherwise the given string is sent.
+ * When req.interceptJson is set, successful JSON responses are buffered and
+ * passed through it (async) before being returned to the client.
+ */
+function sendUpstream(req, res, headers, body) {
+  const method = String(req.method || 'GET').toUpperCase();
+  const targetUrl = new URL(req.upstreamUrl || req.originalUrl || req.url || '/', config.internalApiBase);
+  const isHttps = targetUrl.protocol === 'https:';
+  const intercept = typeof req.interceptJson === 'function' ? req.interceptJson : null;
+
+  // Ask for an identity-encoded body when we need to read it
+  if (intercept) delete headers['accept-encoding'];
+
+  const opts = {
+    protocol: targetUrl.protocol,
+    hostname: targetUrl.hostname,
+    port: targetUrl.port || (isHttps ? 443 : 80),
+    path: `${targetUrl.pathname}${targetUrl.search}`,
+    method,
+    headers
+  };
+
+  // DEBUG
+  try {
+    console.log('DEBUG forwardBody -> %s %s host=%s ct=%s len=%s', method, opts.path, opts.hostname + ':' + opts.port, headers['content-type'], headers['content-length']);
+  } catch (_) {}
+
+  const transport = isHttps ? https : http;
+  const upstreamStartedAt = Date.now();
+  const upstreamReq = transport.request(opts, (upstreamRes) => {
+    req.upstreamMs = Date.now() - upstreamStartedAt;
+    upstreamRes.on('error', (err) => {
+      try { console.error('DEBUG forwardBody upstreamRes error:', err && err.message); } catch (_) {}
+      req.upstreamError = (err && err.code) ? String(err.code) : 'upstream_response_error';
+      if (!res.headersSent) {
+        res.statusCode = 502;
+        res.setHeader('content-type', 'application/json');
+        return res.end(JSON.stringify({ error: 'Upstream response error', request_id: req.requestId }));
+      }
+      try { res.destroy(err); } catch (_) {}
+    });
+
+    const status = upstreamRes.statusCode || 502;
+    if (!intercept || status < 200 || status >= 300 || !isJsonResponse(upstreamRes)) {
+      // Pipe upstream response back to client
+      copyUpstreamHead(upstreamRes, req, res);
+      return upstreamRes.pipe(res);
+    }
+
+    const chunks = [];
+    upstreamRes.on('data', (chunk) => chunks.push(chunk));
+    upstreamRes.on('end', async () => {
+      let out = Buffer.concat(chunks);
+      try {
+        const json = JSON.parse(out.toString('utf8'));
+        out = Buffer.from(JSON.stringify(await intercept(json)));
+      } catch (err) {
+        try { console.error('DEBUG forwardBody intercept error:', err && err.message); } catch (_) {}
+      }
+      copyUpstreamHead(upstreamRes, req, res, ['content-length', 'content-encoding']);
+      res.setHeader('content-length', out.length);
+      res.end(out);
+    });
+  });
+
+  upstreamReq.setTimeout(60000, () => {
+    const err = new Error('upstream timeout');
+    err.code = 'ETIMEDOUT';
+    try { upstreamReq.destroy(err); } catch (_) {}
+  });
+
+  upstreamReq.on('error', (err) => {
+    try { console.error('DEBUG forwardBody upstreamReq error:', err && err.message); } catch (_) {}
+    req.upstreamError = (err && err.code) ? String(err.code) : 'upstream_request_error';
+    if (!res.headersSent) {
+      res.statusCode = 502;
+      res.setHeader('content-type', 'application/json');
+      return res.end(JSON.stringify({ error: 'Upstream request error', request_id: req.requestId }));
+    }
+    try { res.destroy(err); } catch (_) {}
+  });
+
+  if (body === null) {
+    // Stream the original request unless a body parser already consumed it
+    if (req.readableEnded) upstreamReq.end();
+    else req.pipe(upstreamReq);
+    return;
+  }
+  // Write body and end
+  if (body.length > 0) {
+    upstreamReq.write(body);
+  }
+  upstreamReq.end();
+}
+
+/**
+ * Default forwarder for requests without a parsed body.
+ * Uses http-proxy-middleware unless the response has to be inspected.
+ */
+function forwardRequest(req, res, next) {
+  if (typeof req.interceptJson !== 'function') {
+    return proxy(req, res, next);
+  }
+  try {
+    return sendUpstream(req, res, upstreamHeaders(req), null);
+  } catch (e) {
+    try { console.error('DEBUG forwardRequest fatal:', e && e.message); } catch (_) {}
+    res.statusCode = 502;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ error: 'Proxy forwarding error', request_id: req.requestId }));
+  }
+}
+
 /**
  * Manual forward for requests with JSON or x-www-form-urlencoded bodies.
  * This bypasses http-proxy streaming quirks when bodies were parsed by Express.
@@ -151,10 +627,9 @@ function forwardBody(req, res, next) {
     const method = String(req.method || 'GET').toUpperCase();
     // Only handle methods that may have a body
     if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
-      return proxy(req, res, next);
+      return forwardRequest(req, res, next);
     }
 
-    const originalUrl = req.originalUrl || req.url || '/';
     const ctypeRaw = req.get('content-type') || req.headers['content-type'] || '';
     const ctype = String(ctypeRaw).toLowerCase();
     const isJson = ctype.includes('application/json');
@@ -162,7 +637,7 @@ function forwardBody(req, res, next) {
 
     if (!isJson && !isForm) {
       // Defer to the proxy for other body types
-      return proxy(req, res, next);
+      return forwardRequest(req, res, next);
     }
 
     // Build body string from already-parsed req.body
@@ -175,96 +650,37 @@ function forwardBody(req, res, next) {
       }
     }
 
-    const targetUrl = new URL(originalUrl, config.internalApiBase);
-    const isHttps = targetUrl.protocol === 'https:';
-
-    // Build upstream request options
-    const headers = Object.assign({}, req.headers);
     // Normalize/override headers for upstream
-    delete headers['x-api-key'];
-    delete headers['X-API-Key'];
-    delete headers['host'];
+    const headers = upstreamHeaders(req);
     delete headers['content-length'];
     delete headers['transfer-encoding'];
     headers['content-type'] = ctypeRaw || (isJson ? 'application/json' : 'application/x-www-form-urlencoded');
     headers['content-length'] = Buffer.byteLength(bodyStr);
-    headers['x-real-ip'] = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-
-    const opts = {
-      protocol: targetUrl.protocol,
-      hostname: targetUrl.hostname,
-      port: targetUrl.port || (isHttps ? 443 : 80),
-      path: `${targetUrl.pathname}${targetUrl.search}`,
-      method,
-      headers
-    };
+    req.forwardedBytes = headers['content-length'];
 
-    // DEBUG
-    try {
-      console.log('DEBUG forwardBody -> %s %s host=%s ct=%s len=%s', method, opts.path, opts.hostname + ':' + opts.port, headers['content-type'], headers['content-length']);
-    } catch (_) {}
-
-    const transport = isHttps ? https : http;
-    const upstreamReq = transport.request(opts, (upstreamRes) => {
-      // Propagate status and headers
-      res.statusCode = upstreamRes.statusCode || 502;
-      const respHeaders = upstreamRes.headers || {};
-      for (const k in respHeaders) {
-        if (!Object.prototype.hasOwnProperty.call(respHeaders, k)) continue;
-        if (k.toLowerCase() === 'transfer-encoding') continue; // avoid TE issues
-        try { res.setHeader(k, respHeaders[k]); } catch (_) {}
-      }
-      // annotate with user id
-      const userId = req.authProxy && req.authProxy.userId ? String(req.authProxy.userId) : '';
-      if (userId) res.setHeader('x-authproxy-user', userId);
-
-      // Pipe upstream response back to client
-      upstreamRes.on('error', (err) => {
-        try { console.error('DEBUG forwardBody upstreamRes error:', err && err.message); } catch (_) {}
-        if (!res.headersSent) {
-          res.statusCode = 502;
-          res.setHeader('content-type', 'application/json');
-          return res.end(JSON.stringify({ error: 'Upstream response error' }));
-        }
-        try { res.destroy(err); } catch (_) {}
-      });
-      upstreamRes.pipe(res);
-    });
-
-    upstreamReq.setTimeout(60000, () => {
-      try { upstreamReq.destroy(new Error('upstream timeout')); } catch (_) {}
-    });
-
-    upstreamReq.on('error', (err) => {
-      try { console.error('DEBUG forwardBody upstreamReq error:', err && err.message); } catch (_) {}
-      if (!res.headersSent) {
-        res.statusCode = 502;
-        res.setHeader('content-type', 'application/json');
-        return res.end(JSON.stringify({ error: 'Upstream request error' }));
-      }
-      try { res.destroy(err); } catch (_) {}
-    });
-
-    // Write body and end
-    if (headers['content-length'] > 0) {
-      upstreamReq.write(bodyStr);
-    }
-    upstreamReq.end();
+    return sendUpstream(req, res, headers, bodyStr);
   } catch (e) {
     try { console.error('DEBUG forwardBody fatal:', e && e.message); } catch (_) {}
     res.statusCode = 502;
     res.setHeader('content-type', 'application/json');
-    res.end(JSON.stringify({ error: 'Proxy forwarding error' }));
+    res.end(JSON.stringify({ error: 'Proxy forwarding error', request_id: req.requestId }));
   }
 }
 
+// Ownership lookups and metering read the database; errors go to the Express error handler
+const ownershipCheck = asyncHandler(ownershipGuard);
+const meter = asyncHandler(meterRequest);
+
+// Log every proxied (or blocked) request
+router.use(requestLogger);
+
 // Route JSON/form bodies through manual forwarder first
-router.post('*', proxyAuthGuard, forwardBody);
-router.put('*', proxyAuthGuard, forwardBody);
-router.patch('*', proxyAuthGuard, forwardBody);
-router.delete('*', proxyAuthGuard, forwardBody);
+router.post('*', proxyAuthGuard, ownershipCheck, meter, forwardBody);
+router.put('*', proxyAuthGuard, ownershipCheck, meter, forwardBody);
+router.patch('*', proxyAuthGuard, ownershipCheck, meter, forwardBody);
+router.delete('*', proxyAuthGuard, ownershipCheck, meter, forwardBody);
 
-// Catch-all: auth guard first, then proxy (handles GET and other methods/content-types)
-router.use(proxyAuthGuard, proxy);
+// Catch-all: auth guard, ownership check and metering, then proxy (handles GET and other methods/content-types)
+router.use(proxyAuthGuard, ownershipCheck, meter, forwardRequest);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict';
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const { config } = require('../config');
+const { validateFullKey, getKeyById, revokeKey } = require('../models/apiKeys');
+const { getUserById } = require('../models/users');
+const { logAudit } = require('../models/audits');
+const { sendKeyLeakEmail } = require('../utils/email');
+const { API_KEY_PATTERN } = require('../utils/crypto');
+const metrics = require('../utils/metrics');
+
+// Each token costs a scrypt verification, so reports are capped
+const MAX_TOKENS_PER_REPORT = 100;
+
+// X-Signature-256: sha256=<hex HMAC-SHA256 of the raw body under SECRET_SCANNING_SECRET>
+function hasValidSignature(req, rawBody) {
+  const m = String(req.get('x-signature-256') || '').trim().match(/^sha256=([0-9a-f]{64})$/i);
+  if (!m) return false;
+  const expected = crypto.createHmac('sha256', config.secretScanning.secret).update(rawBody).digest();
+  return crypto.timingSafeEqual(Buffer.from(m[1], 'hex'), expected);
+}
+
+// Only http(s) locations are kept; they end up in audits and emails
+function reportUrl(value) {
+  const s = String(value || '').trim();
+  return /^https?:\/\//i.test(s) ? s.slice(0, 2048) : null;
+}
+
+// Revoke the key behind one reported token and notify its owner
+async function handleToken(report) {
+  const token = String((report && report.token) || '').trim();
+  const result = {
+    token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+    token_type: (report && report.type) || null,
+    label: 'false_positive'
+  };
+
+  // Scanners only report tokens in the published key format; skip the scrypt lookup for anything else
+  const m = token.match(API_KEY_PATTERN);
+  if (!m || m[0] !== token) return result;
+
+  // ok, expired and suspended results all identify a real, unrevoked key
+  const v = await validateFullKey(token);
+  if (!v.keyId) return result;
+
+  const key = await getKeyById(v.keyId);
+  const r = await revokeKey(v.userId, v.keyId);
+  if (!r.ok) return result;
+  result.label = 'true_positive';
+  metrics.keysRevoked.inc({ by: 'secret_scanning' });
+
+  const url = reportUrl(report.url);
+  const source = report.source ? String(report.source).slice(0, 200) : null;
+  const user = await getUserById(v.userId);
+  const mail = user ? await sendKeyLeakEmail(user.email, key, { url, source }) : { ok: false };
+  logAudit(v.userId, 'key_leak_revoke', { keyId: v.keyId, prefix: r.prefix, type: result.token_type, url, source, owner_notified: mail.ok });
+  return result;
+}
+
+// POST /webhooks/secret-scanning
+// Body: [{ token, type, url, source }] (a single object is also accepted)
+router.post('/', express.raw({ type: '*/*', limit: '256kb' }), async (req, res) => {
+  if (!config.secretScanning.secret) {
+    return res.status(404).json({ error: 'Not Found', request_id: req.requestId });
+  }
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!hasValidSignature(req, rawBody)) {
+    logAudit(null, 'secret_scanning_reject', { reason: 'bad_signature' });
+    return res.status(401).json({ error: 'Invalid signature', request_id: req.requestId });
+  }
+
+  let reports;
+  try {
+    reports = JSON.parse(rawBody.toString('utf8'));
+  } catch (_) {
+    return res.status(400).json({ error: 'Body must be JSON', request_id: req.requestId });
+  }
+  if (!Array.isArray(reports)) reports = [reports];
+  if (reports.length > MAX_TOKENS_PER_REPORT) {
+    return res.status(413).json({ error: `At most ${MAX_TOKENS_PER_REPORT} tokens per report`, request_id: req.requestId });
+  }
+
+  try {
+    const results = [];
+    for (const report of reports) results.push(await handleToken(report));
+    const revoked = results.filter((r) => r.label === 'true_positive').length;
+    logAudit(null, 'secret_scanning_report', { tokens: reports.length, revoked });
+    return res.json(results);
+  } catch (err) {
+    console.error('Failed to process secret scanning report:', err);
+    return res.status(500).json({ error: 'Failed to process report', request_id: req.requestId });
+  }
+});
+
+// Anything else under /webhooks/secret-scanning stays here instead of falling through to the upstream proxy
+router.use((req, res) => {
+  res.status(404).json({ error: 'Not Found', request_id: req.requestId });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,146 @@
+'use strict';
+
+const INT8_OID = 20;
+const NUMERIC_OID = 1700;
+
+/**
+ * Rewrite the app's SQLite-flavoured SQL for Postgres: positional "?" become
+ * $1..$n and LIKE becomes ILIKE (SQLite's LIKE is case-insensitive).
+ * Quoted literals and identifiers are left untouched.
+ */
+function translateSql(sql) {
+  let out = '';
+  let n = 0;
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === ch && sql[j + 1] === ch) { j += 2; continue; }
+        if (sql[j] === ch) break;
+        j += 1;
+      }
+      out += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    if (ch === '?') {
+      n += 1;
+      out += `$${n}`;
+      i += 1;
+      continue;
+    }
+    if (!/\w/.test(sql[i - 1] || '') && /^like(?!\w)/i.test(sql.slice(i, i + 5))) {
+      out += 'ILIKE';
+      i += 4;
+      continue;
+    }
+    out += ch;
+    i += 1;
+  }
+  return out;
+}
+
+// pg would send booleans as 'true'/'false', which INTEGER columns reject
+function bindValue(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  return v;
+}
+
+/**
+ * Postgres through a pg connection pool (optional dependency). Each statement
+ * outside a transaction runs on any pooled connection and commits on its own;
+ * a transaction holds one connection until it ends. Any number of proxy
+ * instances can share the database.
+ */
+function createPostgresBackend({ url, poolSize = 10 }) {
+  let pool = null;
+  const translated = new Map();
+
+  async function open() {
+    let pg;
+    try {
+      pg = require('pg');
+    } catch (err) {
+      throw new Error('DB_DRIVER=postgres requires the "pg" package (npm install pg)');
+    }
+    // COUNT(*) and SUM() come back as int8/numeric; the models expect plain numbers
+    const types = {
+      getTypeParser(oid, format) {
+        if (oid === INT8_OID || oid === NUMERIC_OID) return (v) => (v === null ? null : Number(v));
+        return pg.types.getTypeParser(oid, format);
+      }
+    };
+    // Timestamps are written by the app as ISO strings; keep server-side defaults in UTC too
+    pool = new pg.Pool({ connectionString: url, max: poolSize, types, options: '-c TimeZone=UTC' });
+    pool.on('error', (err) => console.error('Postgres pool error:', err && err.message));
+    // Fail at startup, not on the first request, when the database is unreachable
+    const client = await pool.connect();
+    client.release();
+  }
+
+  function handle() {
+    if (!pool) throw new Error('Database not initialized. Call initDb() first.');
+    return pool;
+  }
+
+  function sqlText(sql) {
+    let text = translated.get(sql);
+    if (!text) {
+      text = translateSql(sql);
+      translated.set(sql, text);
+    }
+    return text;
+  }
+
+  // Query methods on the pool or on a client checked out for a transaction
+  function connection(queryable) {
+    const query = async (sql, params = []) => (await queryable().query(sqlText(sql), params.map(bindValue))).rows;
+    return {
+      exec: async (sql) => { await queryable().query(sql); },
+      run: async (sql, params) => { await query(sql, params); },
+      all: query,
+      getOne: async (sql, params) => (await query(sql, params))[0] || null,
+      tableExists: async (name) => !!(await query('SELECT 1 AS ok FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?', [name]))[0],
+      columnExists: async (table, column) => !!(await query('SELECT 1 AS ok FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?', [table, column]))[0]
+    };
+  }
+
+  async function transaction(fn) {
+    const client = await handle().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(connection(() => client));
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return Object.assign(connection(handle), {
+    driver: 'postgres',
+    dialect: 'postgres',
+    open,
+    handle,
+    transaction,
+    save: async () => {},
+    export: async () => { throw new Error('Snapshots are not supported for Postgres; use pg_dump'); },
+    close: async () => {
+      if (!pool) return;
+      const closing = pool;
+      pool = null;
+      await closing.end();
+    }
+  });
+}
+
+module.exports = {
+  createPostgresBackend,
+  translateSql
+};
\ No newline at end of file
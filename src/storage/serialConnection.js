@@ -0,0 +1,50 @@
+'use strict';
+
+function noop() {}
+
+/**
+ * Async interface over one synchronous SQLite connection (sql.js, better-sqlite3).
+ * Calls run one at a time in arrival order, and a transaction keeps the
+ * connection until its callback settles, so statements from other requests
+ * wait for it instead of landing inside it.
+ *
+ * conn: { exec, run, all, getOne, tableExists, columnExists } (synchronous)
+ * tx: { begin, commit, rollback } (synchronous)
+ */
+function createSerialConnection(conn, tx) {
+  let tail = Promise.resolve();
+
+  function exclusive(fn) {
+    const result = tail.then(fn);
+    tail = result.then(noop, noop);
+    return result;
+  }
+
+  // Used inside a transaction, which already holds the connection
+  const direct = {};
+  const queued = {};
+  for (const name of ['exec', 'run', 'all', 'getOne', 'tableExists', 'columnExists']) {
+    direct[name] = async (...args) => conn[name](...args);
+    queued[name] = (...args) => exclusive(() => conn[name](...args));
+  }
+
+  function transaction(fn) {
+    return exclusive(async () => {
+      tx.begin();
+      try {
+        const result = await fn(direct);
+        tx.commit();
+        return result;
+      } catch (err) {
+        try { tx.rollback(); } catch (_) {}
+        throw err;
+      }
+    });
+  }
+
+  return Object.assign(queued, { transaction, exclusive });
+}
+
+module.exports = {
+  createSerialConnection
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const { createSerialConnection } = require('./serialConnection');
+
+// Prepared statements kept per SQL string (the app uses a small, fixed set of queries)
+const STATEMENT_CACHE_SIZE = 500;
+
+// better-sqlite3 binds numbers, strings, buffers and null only
+function bindValue(v) {
+  if (v === undefined) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  return v;
+}
+
+/**
+ * File-backed SQLite through better-sqlite3 (optional dependency) in WAL mode.
+ * Every statement is durable when it returns, and several proxy processes on
+ * the same host can share the file (writers wait up to busyTimeoutMs). Calls
+ * within this process are serialized (see serialConnection.js).
+ */
+function createSqliteBackend({ filePath, busyTimeoutMs = 5000 }) {
+  let db = null;
+  const statements = new Map();
+
+  async function open() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('DB_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.pragma('foreign_keys = ON');
+    db.pragma(`busy_timeout = ${Math.max(0, Number(busyTimeoutMs) || 0)}`);
+  }
+
+  function handle() {
+    if (!db) throw new Error('Database not initialized. Call initDb() first.');
+    return db;
+  }
+
+  function statement(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = handle().prepare(sql);
+      if (statements.size >= STATEMENT_CACHE_SIZE) statements.delete(statements.keys().next().value);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  function run(sql, params = []) {
+    statement(sql).run(params.map(bindValue));
+  }
+
+  function all(sql, params = []) {
+    return statement(sql).all(params.map(bindValue));
+  }
+
+  function getOne(sql, params = []) {
+    return statement(sql).get(params.map(bindValue)) || null;
+  }
+
+  const connection = createSerialConnection({
+    exec: (sql) => { handle().exec(sql); },
+    run,
+    all,
+    getOne,
+    tableExists: (name) => !!getOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]),
+    columnExists: (table, column) => !!getOne('SELECT name FROM pragma_table_info(?) WHERE name = ?', [table, column])
+  }, {
+    // IMMEDIATE takes the write lock up front so concurrent processes wait instead of failing mid-transaction
+    begin: () => handle().exec('BEGIN IMMEDIATE'),
+    commit: () => handle().exec('COMMIT'),
+    rollback: () => handle().exec('ROLLBACK')
+  });
+
+  return {
+    driver: 'sqlite',
+    dialect: 'sqlite',
+    open,
+    handle,
+    exec: connection.exec,
+    run: connection.run,
+    all: connection.all,
+    getOne: connection.getOne,
+    transaction: connection.transaction,
+    tableExists: connection.tableExists,
+    columnExists: connection.columnExists,
+    save: async () => {},
+    // Consistent SQLite image (includes committed WAL content)
+    export: () => connection.exclusive(() => handle().serialize()),
+    close: () => connection.exclusive(() => { if (db) { statements.clear(); db.close(); db = null; } })
+  };
+}
+
+module.exports = {
+  createSqliteBackend
+};
\ No newline at end of file
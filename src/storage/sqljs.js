@@ -0,0 +1,138 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { dbSaveDuration } = require('../utils/metrics');
+const { createSerialConnection } = require('./serialConnection');
+
+/**
+ * In-memory SQLite (sql.js / WASM) persisted by exporting the whole database to
+ * a file after each transaction. Single process only; statements outside
+ * transact() are not written to disk until the next save. Calls are
+ * serialized (see serialConnection.js).
+ */
+function createSqlJsBackend({ filePath }) {
+  let db = null;
+
+  async function open() {
+    // Resolve the sql.js initializer and WASM path
+    let initSqlJs = require('sql.js');
+    if (initSqlJs && initSqlJs.default) initSqlJs = initSqlJs.default;
+    const wasmDir = path.dirname(require.resolve('sql.js/dist/sql-wasm.wasm'));
+
+    const SQL = await initSqlJs({
+      locateFile: (file) => path.join(wasmDir, file)
+    });
+
+    if (fs.existsSync(filePath)) {
+      db = new SQL.Database(fs.readFileSync(filePath));
+    } else {
+      db = new SQL.Database();
+    }
+    db.exec('PRAGMA foreign_keys = ON');
+  }
+
+  function handle() {
+    if (!db) throw new Error('Database not initialized. Call initDb() first.');
+    return db;
+  }
+
+  function save() {
+    if (!db) return;
+    const endTimer = dbSaveDuration.startTimer();
+    // Write a temp file next to the database and rename it over, so a crash mid-write leaves the old file intact
+    const tmpPath = `${filePath}.tmp-${process.pid}`;
+    try {
+      const fd = fs.openSync(tmpPath, 'w');
+      try {
+        fs.writeSync(fd, Buffer.from(db.export()));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      try { fs.unlinkSync(tmpPath); } catch (_) {}
+      throw err;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Prepared statement with positional parameters bound
+  function prepareAndBind(sql, params = []) {
+    const stmt = handle().prepare(sql);
+    try {
+      stmt.bind(params);
+      return stmt;
+    } catch (err) {
+      try { stmt.free(); } catch (_) {}
+      throw err;
+    }
+  }
+
+  function run(sql, params = []) {
+    const stmt = prepareAndBind(sql, params);
+    try {
+      // step once for statements that do not produce result sets
+      stmt.step();
+    } finally {
+      stmt.free();
+    }
+  }
+
+  function all(sql, params = []) {
+    const stmt = prepareAndBind(sql, params);
+    try {
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  function getOne(sql, params = []) {
+    const stmt = prepareAndBind(sql, params);
+    try {
+      return stmt.step() ? stmt.getAsObject() : null;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  const connection = createSerialConnection({
+    exec: (sql) => { handle().exec(sql); },
+    run,
+    all,
+    getOne,
+    tableExists: (name) => !!getOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]),
+    columnExists: (table, column) => !!getOne('SELECT name FROM pragma_table_info(?) WHERE name = ?', [table, column])
+  }, {
+    begin: () => handle().exec('BEGIN'),
+    commit: () => { handle().exec('COMMIT'); save(); },
+    rollback: () => handle().exec('ROLLBACK')
+  });
+
+  return {
+    driver: 'sqljs',
+    dialect: 'sqlite',
+    open,
+    handle,
+    exec: connection.exec,
+    run: connection.run,
+    all: connection.all,
+    getOne: connection.getOne,
+    transaction: connection.transaction,
+    tableExists: connection.tableExists,
+    columnExists: connection.columnExists,
+    save: () => connection.exclusive(save),
+    // Consistent SQLite image of the committed in-memory state
+    export: () => connection.exclusive(() => Buffer.from(handle().export())),
+    close: () => connection.exclusive(() => { if (db) { save(); db.close(); db = null; } })
+  };
+}
+
+module.exports = {
+  createSqlJsBackend
+};
\ No newline at end of file
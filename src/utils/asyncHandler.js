@@ -0,0 +1,12 @@
+'use strict';
+
+// Express 4 ignores the promise an async handler returns: hand its rejection to next() like a thrown error
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+module.exports = {
+  asyncHandler
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+'use strict';
+
+const { config } = require('../config');
+
+// Compile "/api/v1/executions/*/status" style patterns to anchored regexes
+const compiled = new Map();
+function patternToRegex(pattern) {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+  const body = String(pattern)
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((seg) => {
+      if (seg === '**') return '.*';
+      if (seg === '*') return '[^/]+';
+      return seg.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  const re = new RegExp(`^${body || ''}/?$`);
+  compiled.set(pattern, re);
+  return re;
+}
+
+/**
+ * Quota units charged for a request (reqPath is the decoded, canonical path the proxy
+ * checks scope and ownership against). First matching rule in config.routeCosts
+ * wins; unmatched routes cost config.defaultRouteCost.
+ */
+function routeCost(method, reqPath) {
+  const m = String(method || 'GET').toUpperCase();
+  const p = String(reqPath || '/');
+  for (const rule of config.routeCosts) {
+    if (rule.method !== '*' && rule.method !== m) continue;
+    if (patternToRegex(rule.pattern).test(p)) return rule.cost;
+  }
+  return config.defaultRouteCost;
+}
+
+// Round unit amounts for display and headers (avoid float noise like 0.30000000000000004)
+function formatUnits(units) {
+  return String(Math.round(Number(units || 0) * 100) / 100);
+}
+
+module.exports = {
+  routeCost,
+  formatUnits
+};
\ No newline at end of file
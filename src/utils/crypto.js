@@ -7,9 +7,10 @@ function generateSalt(bytes = 16) {
   return crypto.randomBytes(bytes).toString('base64url');
 }
 
-// Derive a scrypt hash (base64url) with robust salt handling
-function scryptHash(plain, salt, keylen = 64) {
-  const p = (typeof plain === 'string') ? plain : String(plain);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Accept salts as strings, Buffers or typed arrays
+function normalizeSalt(salt) {
   let s = salt;
   if (typeof s !== 'string' && !Buffer.isBuffer(s)) {
     if (s && (s instanceof Uint8Array || Array.isArray(s))) {
@@ -20,10 +21,27 @@ function scryptHash(plain, salt, keylen = 64) {
       s = String(s);
     }
   }
-  const buf = crypto.scryptSync(p, s, keylen, { N: 16384, r: 8, p: 1 });
+  return s;
+}
+
+// Derive a scrypt hash (base64url) with robust salt handling
+function scryptHash(plain, salt, keylen = 64) {
+  const p = (typeof plain === 'string') ? plain : String(plain);
+  const buf = crypto.scryptSync(p, normalizeSalt(salt), keylen, SCRYPT_PARAMS);
   return bufferToBase64url(buf);
 }
 
+// Same as scryptHash, but runs on the libuv thread pool instead of blocking the event loop
+function scryptHashAsync(plain, salt, keylen = 64) {
+  const p = (typeof plain === 'string') ? plain : String(plain);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(p, normalizeSalt(salt), keylen, SCRYPT_PARAMS, (err, buf) => {
+      if (err) return reject(err);
+      return resolve(bufferToBase64url(buf));
+    });
+  });
+}
+
 // Base64url helpers
 function toAsciiString(input) {
   if (typeof input === 'string') return input;
@@ -50,25 +68,38 @@ function bufferToBase64url(buf) {
   return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
 }
 
-// Constant-time verification
-function verifyHash(plain, salt, expectedBase64url, keylen = 64) {
-  const actual = scryptHash(plain, salt, keylen);
-  const a = base64urlToBuffer(actual);
+function hashesEqual(actualBase64url, expectedBase64url) {
+  const a = base64urlToBuffer(actualBase64url);
   const b = base64urlToBuffer(expectedBase64url);
   if (a.length !== b.length) return false;
   return crypto.timingSafeEqual(a, b);
 }
 
+// Constant-time verification
+function verifyHash(plain, salt, expectedBase64url, keylen = 64) {
+  return hashesEqual(scryptHash(plain, salt, keylen), expectedBase64url);
+}
+
+// Constant-time verification without blocking the event loop
+async function verifyHashAsync(plain, salt, expectedBase64url, keylen = 64) {
+  return hashesEqual(await scryptHashAsync(plain, salt, keylen), expectedBase64url);
+}
+
 // Generate a 6-digit numeric OTP as string
 function generateOtpCode() {
   const n = crypto.randomInt(0, 1000000);
   return String(n).padStart(6, '0');
 }
 
+// Keys look like roma_<8 hex>.<32 base64url chars> so secret scanners can recognise them.
+// Keys issued before this format have a bare 8-hex prefix and remain valid.
+const API_KEY_PREFIX = 'roma_';
+const API_KEY_PATTERN = /\broma_[0-9a-f]{8}\.[A-Za-z0-9_-]{32}(?![A-Za-z0-9_-])/;
+
 // Generate an API key: prefix.secret
 // Returns { key, prefix, salt, hash }
 function generateApiKey() {
-  const prefix = crypto.randomBytes(4).toString('hex'); // 8 hex chars
+  const prefix = API_KEY_PREFIX + crypto.randomBytes(4).toString('hex'); // roma_ + 8 hex chars
   const secret = crypto.randomBytes(24).toString('base64url'); // compact + strong
   const key = `${prefix}.${secret}`;
   const salt = generateSalt(16);
@@ -77,9 +108,13 @@ function generateApiKey() {
 }
 
 module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_PATTERN,
   generateSalt,
   scryptHash,
+  scryptHashAsync,
   verifyHash,
+  verifyHashAsync,
   generateOtpCode,
   generateApiKey
 };
\ No newline at end of file
@@ -1,82 +1,187 @@
 'use strict';
 
-const { MailtrapClient } = require('mailtrap');
-const { config } = require('../config');
-
-function otpHtmlTemplate(siteUrl, code) {
-  return `
-  <!doctype html>
-  <html lang="en">
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>Your OTP Code</title>
-    <style>
-      body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; background: #f8fafc; color: #0f172a; padding: 24px; }
-      .card { max-width: 520px; margin: 0 auto; background: white; border-radius: 12px; border: 1px solid #e2e8f0; padding: 24px; }
-      .logo { text-align: center; margin-bottom: 12px; }
-      .code { font-size: 28px; letter-spacing: 4px; font-weight: 700; background: #f1f5f9; padding: 12px 16px; border-radius: 8px; display: inline-block; }
-      .muted { color: #64748b; font-size: 14px; }
-      a { color: #0ea5e9; text-decoration: none; }
-    </style>
-  </head>
-  <body>
-    <div class="card">
-      <div class="logo">
-        <h2>ROMA Auth Proxy</h2>
-      </div>
-      <p>Use the code below to complete your login. This code expires in 10 minutes.</p>
-      <p style="text-align:center;">
-        <span class="code">${code}</span>
-      </p>
-      <p class="muted">If you did not request this, you can ignore this email.</p>
-      <p class="muted">crROMA API — <a href="${siteUrl}">${siteUrl}</a></p>
-    </div>
-  </body>
-  </html>
-  `;
+const path = require('path');
+const ejs = require('ejs');
+const { config, isProduction } = require('../config');
+const { createTransport } = require('./mailTransports');
+const { translator, formatDate, isRtl, normalizeLocale, DEFAULT_LOCALE } = require('./i18n');
+const { logAudit } = require('../models/audits');
+const { getUserByEmail } = require('../models/users');
+const { OTP_TTL_MINUTES } = require('../models/otps');
+
+// Email templates: emails/<category>.html.ejs (wrapped in layout.html.ejs) and emails/<category>.text.ejs
+const EMAILS_DIR = path.join(__dirname, '..', '..', 'emails');
+
+// Created on first send so config problems surface as delivery failures, not at require time
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport(config.email.transport);
+  return transport;
 }
 
-function isPlaceholderToken(token) {
-  if (!token) return true;
-  const t = String(token).trim();
-  return t.length === 0 || t.toLowerCase().includes('your_mailtrap_token') || t === '<YOUR-TOKEN-HERE>';
+// The recipient's saved locale, else the fallback (e.g. Accept-Language before sign-up), else the default
+async function recipientLocale(toEmail, fallbackLocale) {
+  const user = await getUserByEmail(String(toEmail || '').toLowerCase());
+  return normalizeLocale(user && user.locale) || normalizeLocale(fallbackLocale) || DEFAULT_LOCALE;
 }
 
 /**
- * Send an OTP code using the official Mailtrap SDK.
- * Falls back to debug mode (logs OTP) when MAILTRAP_TOKEN is not configured.
- * Returns: { ok: boolean, info: any, debug: boolean, code?: string }
+ * Render one email in a locale.
+ * subject: [catalogKey, vars]; data: template locals.
+ * Returns { subject, html, text }.
  */
-async function sendOtpEmail(toEmail, code) {
-  const token = config.mailtrap && config.mailtrap.token;
-  const senderEmail = (config.mailtrap && config.mailtrap.senderEmail) || 'no-reply@localhost';
-  const senderName = (config.mailtrap && config.mailtrap.senderName) || 'ROMA Auth Proxy';
+async function renderEmail(category, locale, subject, data) {
+  const t = translator(locale);
+  const options = { cache: isProduction() };
+  const locals = Object.assign({}, data, {
+    t,
+    locale,
+    siteUrl: config.siteBaseUrl,
+    formatDate: (value) => formatDate(value, locale)
+  });
+  const subjectLine = t(subject[0], subject[1]);
+  const content = await ejs.renderFile(path.join(EMAILS_DIR, `${category}.html.ejs`), locals, options);
+  const html = await ejs.renderFile(path.join(EMAILS_DIR, 'layout.html.ejs'), {
+    lang: locale,
+    dir: isRtl(locale) ? 'rtl' : 'ltr',
+    subject: subjectLine,
+    content,
+    siteUrl: config.siteBaseUrl
+  }, options);
+  const text = await ejs.renderFile(path.join(EMAILS_DIR, `${category}.text.ejs`), locals, options);
+  return { subject: subjectLine, html, text };
+}
 
+/**
+ * Render a template in the recipient's locale and send it through the configured transport (EMAIL_TRANSPORT).
+ * Failures are logged and audited as email_delivery_fail; nothing falls back to another transport.
+ * Returns: { ok: boolean, info: any, debug: boolean }
+ */
+async function sendNotification(toEmail, category, { subject, data, locale, debugSummary }) {
+  let name = config.email.transport;
   try {
-    if (!isPlaceholderToken(token)) {
-      const client = new MailtrapClient({ token });
-      const sender = { email: senderEmail, name: senderName };
-      const info = await client.send({
-        from: sender,
-        to: [{ email: toEmail }],
-        subject: 'Your ROMA Proxy OTP Code',
-        text: `Your OTP code is: ${code}\nThis code expires in 10 minutes.\n${config.siteBaseUrl}`,
-        html: otpHtmlTemplate(config.siteBaseUrl, code),
-        category: 'otp'
-      });
-      return { ok: true, info, debug: false };
-    }
-    throw new Error('MAILTRAP_TOKEN not configured');
+    const message = await renderEmail(category, await recipientLocale(toEmail, locale), subject, data);
+    const t = getTransport();
+    name = t.name;
+    const info = await t.send(Object.assign({ to: toEmail, category, debugSummary }, message));
+    return { ok: true, info, debug: name === 'debug' };
   } catch (err) {
-    const status = (err && err.response && err.response.status) || (err && err.status) || null;
+    const status = (err && err.response && err.response.status) || (err && err.responseCode) || (err && err.status) || null;
     const msg = err && (err.message || String(err));
-    try { console.warn(`[Mailtrap] sendOtp failed status=${status}: ${msg}. Falling back to debug OTP.`); } catch (_) {}
-    try { console.warn(`[DEBUG] OTP for ${toEmail}: ${code}`); } catch (_) {}
-    return { ok: true, info: { error: msg, status }, debug: true, code };
+    try { console.warn(`[Email] ${category} email via ${name} failed status=${status}: ${msg}`); } catch (_) {}
+    logAudit(null, 'email_delivery_fail', { email: toEmail, category, transport: name, status, error: msg });
+    return { ok: false, info: { error: msg, status }, debug: false };
   }
 }
 
+/**
+ * Send an OTP code and, when given, a one-click sign-in link.
+ * link: { url, sameBrowser }. Only the debug transport (never used in production) hands the code
+ * and link back so the verify page can show them.
+ * Returns: { ok: boolean, info: any, debug: boolean, code?: string, linkUrl?: string }
+ */
+async function sendOtpEmail(toEmail, code, locale, link = null) {
+  const result = await sendNotification(toEmail, 'otp', {
+    subject: ['otp.subject'],
+    data: { code, ttlMinutes: OTP_TTL_MINUTES, link },
+    locale,
+    debugSummary: link ? `${code} ${link.url}` : code
+  });
+  return result.debug ? Object.assign(result, { code, linkUrl: link ? link.url : null }) : result;
+}
+
+/**
+ * Warn a user that some of their keys expire soon.
+ * keys: [{ prefix, label, expires_at }]
+ */
+function sendKeyExpiryEmail(toEmail, keys) {
+  return sendNotification(toEmail, 'key_expiry', {
+    subject: [keys.length === 1 ? 'key_expiry.subject_one' : 'key_expiry.subject_many'],
+    data: { keys },
+    debugSummary: keys.map((k) => `${k.prefix} expires ${k.expires_at}`).join('; ')
+  });
+}
+
+/**
+ * Tell a user that one of their keys was found in public and has been revoked.
+ * key: { prefix, label }, report: { url, source }
+ */
+function sendKeyLeakEmail(toEmail, key, report) {
+  return sendNotification(toEmail, 'key_leak', {
+    subject: ['key_leak.subject'],
+    data: { key, report },
+    debugSummary: `${key.prefix} revoked${report.url ? ` at ${report.url}` : ''}`
+  });
+}
+
+/**
+ * Invite an email address to an organization.
+ * invite: { orgName, inviterEmail, link, expiresAt }
+ */
+function sendOrgInviteEmail(toEmail, invite) {
+  return sendNotification(toEmail, 'org_invite', {
+    subject: ['org_invite.subject', { org: invite.orgName }],
+    data: invite,
+    debugSummary: `${invite.orgName} ${invite.link}`
+  });
+}
+
+/**
+ * Confirm that a key was created on the user's account.
+ * key: { prefix, label, expiresAt }, orgName: owning org or null
+ */
+function sendKeyCreatedEmail(toEmail, key, orgName = null) {
+  return sendNotification(toEmail, 'key_created', {
+    subject: ['key_created.subject'],
+    data: { key, orgName },
+    debugSummary: `${key.prefix} created${orgName ? ` for ${orgName}` : ''}`
+  });
+}
+
+/**
+ * Tell a key's creator that it was revoked.
+ * key: { prefix, label }, byAdmin: revoked from the admin console
+ */
+function sendKeyRevokedEmail(toEmail, key, byAdmin = false) {
+  return sendNotification(toEmail, 'key_revoked', {
+    subject: ['key_revoked.subject'],
+    data: { key, byAdmin },
+    debugSummary: `${key.prefix} revoked${byAdmin ? ' by an admin' : ''}`
+  });
+}
+
+/**
+ * Warn that today's quota pool is nearly used up.
+ * usage: { used, limit, percent, orgName }
+ */
+function sendQuotaWarningEmail(toEmail, usage) {
+  return sendNotification(toEmail, 'quota_warning', {
+    subject: ['quota_warning.subject', { percent: usage.percent }],
+    data: Object.assign({ orgName: null }, usage),
+    debugSummary: `${usage.orgName ? `${usage.orgName} ` : ''}${usage.used}/${usage.limit} units (${usage.percent}%)`
+  });
+}
+
+/**
+ * Alert a user about a sign-in from an IP address they have not used before.
+ * login: { ip, userAgent, at }
+ */
+function sendNewLoginEmail(toEmail, login) {
+  return sendNotification(toEmail, 'new_login', {
+    subject: ['new_login.subject'],
+    data: Object.assign({ userAgent: null }, login),
+    debugSummary: `sign-in from ${login.ip}`
+  });
+}
+
 module.exports = {
-  sendOtpEmail
+  sendOtpEmail,
+  sendKeyExpiryEmail,
+  sendKeyLeakEmail,
+  sendOrgInviteEmail,
+  sendKeyCreatedEmail,
+  sendKeyRevokedEmail,
+  sendQuotaWarningEmail,
+  sendNewLoginEmail
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Locales with an email catalog in emails/locales/<locale>.json; English is the fallback for missing strings
+const SUPPORTED_LOCALES = ['en', 'fa', 'ar'];
+const DEFAULT_LOCALE = 'en';
+const RTL_LOCALES = new Set(['fa', 'ar']);
+const LOCALE_NAMES = { en: 'English', fa: 'فارسی', ar: 'العربية' };
+
+const LOCALES_DIR = path.join(__dirname, '..', '..', 'emails', 'locales');
+const catalogs = new Map();
+
+function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    catalogs.set(locale, JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8')));
+  }
+  return catalogs.get(locale);
+}
+
+// Supported locale for a stored or submitted value ("fa-IR" -> "fa"), or null
+function normalizeLocale(value) {
+  const base = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+// Best supported locale from the request's Accept-Language header
+function pickLocale(req) {
+  const accepted = req && typeof req.acceptsLanguages === 'function' ? req.acceptsLanguages(...SUPPORTED_LOCALES) : null;
+  return normalizeLocale(accepted) || DEFAULT_LOCALE;
+}
+
+// t('otp.intro', { minutes: 10 }): looks up the key in the locale's catalog and fills {placeholders}
+function translator(locale) {
+  const lang = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const catalog = loadCatalog(lang);
+  const fallback = loadCatalog(DEFAULT_LOCALE);
+  return (key, vars = {}) => {
+    const template = catalog[key] !== undefined ? catalog[key] : fallback[key];
+    if (template === undefined) return key;
+    return String(template).replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? String(vars[name]) : m));
+  };
+}
+
+// Date and time in UTC, formatted for the locale
+function formatDate(value, locale) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value || '');
+  const lang = normalizeLocale(locale) || DEFAULT_LOCALE;
+  return `${d.toLocaleString(lang, { timeZone: 'UTC', dateStyle: 'medium', timeStyle: 'short' })} UTC`;
+}
+
+function isRtl(locale) {
+  return RTL_LOCALES.has(normalizeLocale(locale));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  normalizeLocale,
+  pickLocale,
+  translator,
+  formatDate,
+  isRtl
+};
\ No newline at end of file
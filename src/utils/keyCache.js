@@ -0,0 +1,71 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Bounded in-memory cache of API keys that passed scrypt verification.
+ * Entries are keyed by an HMAC of the full key under a per-process secret, so
+ * the cache never holds key material. The oldest entries are evicted first.
+ * State is per process.
+ */
+function createKeyCache({ ttlMs, maxEntries }) {
+  const secret = crypto.randomBytes(32);
+  const entries = new Map(); // hmac -> { keyId, keyHash, expiresAt } (insertion order = age)
+  const byKeyId = new Map(); // keyId -> Set<hmac>, for invalidation
+
+  function digest(fullKey) {
+    return crypto.createHmac('sha256', secret).update(String(fullKey)).digest('base64url');
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entries.delete(id);
+    const ids = byKeyId.get(entry.keyId);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) byKeyId.delete(entry.keyId);
+    }
+  }
+
+  // { keyId, keyHash } for a key verified within the TTL, or null
+  function get(fullKey, now = Date.now()) {
+    if (ttlMs <= 0) return null;
+    const id = digest(fullKey);
+    const entry = entries.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      remove(id);
+      return null;
+    }
+    return { keyId: entry.keyId, keyHash: entry.keyHash };
+  }
+
+  function set(fullKey, keyId, keyHash, now = Date.now()) {
+    if (ttlMs <= 0 || maxEntries <= 0) return;
+    const id = digest(fullKey);
+    remove(id);
+    while (entries.size >= maxEntries) remove(entries.keys().next().value);
+    entries.set(id, { keyId, keyHash, expiresAt: now + ttlMs });
+    if (!byKeyId.has(keyId)) byKeyId.set(keyId, new Set());
+    byKeyId.get(keyId).add(id);
+  }
+
+  // Drop every entry for a key id (revocation)
+  function invalidate(keyId) {
+    const ids = byKeyId.get(keyId);
+    if (!ids) return;
+    for (const id of Array.from(ids)) remove(id);
+  }
+
+  function clear() {
+    entries.clear();
+    byKeyId.clear();
+  }
+
+  return { get, set, invalidate, clear, size: () => entries.size };
+}
+
+module.exports = {
+  createKeyCache
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+'use strict';
+
+const net = require('net');
+
+// Per-key usage restrictions: allowed client CIDR ranges and allowed browser Origins.
+// Both are stored space-separated; NULL means unrestricted.
+
+// ::ffff:203.0.113.7 -> 203.0.113.7 so IPv4 rules match IPv4 clients on dual-stack sockets
+function normalizeIp(ip) {
+  const s = String(ip || '').trim();
+  const mapped = s.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : s;
+}
+
+// "10.0.0.0/8" or a bare address -> { address, prefix, family } or null when invalid
+function parseCidr(entry) {
+  const [addrRaw, prefixRaw, extra] = String(entry).split('/');
+  if (extra !== undefined) return null;
+  const address = normalizeIp(addrRaw);
+  const version = net.isIP(address);
+  if (!version) return null;
+  const max = version === 4 ? 32 : 128;
+  if (prefixRaw !== undefined && !/^\d{1,3}$/.test(prefixRaw)) return null;
+  const prefix = prefixRaw === undefined ? max : Number(prefixRaw);
+  if (prefix > max) return null;
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+function splitList(input) {
+  if (input === null || input === undefined) return [];
+  const list = Array.isArray(input) ? input : String(input).split(/[\s,]+/);
+  return list.map((s) => String(s || '').trim()).filter(Boolean);
+}
+
+/**
+ * Parse user input (newline/space/comma separated) into the stored form.
+ * Returns { ok, value, invalid } where value is null for an empty list.
+ */
+function parseCidrList(input) {
+  const out = [];
+  const invalid = [];
+  for (const entry of splitList(input)) {
+    const c = parseCidr(entry);
+    if (!c) { invalid.push(entry); continue; }
+    const max = c.family === 'ipv4' ? 32 : 128;
+    const norm = c.prefix === max ? c.address : `${c.address}/${c.prefix}`;
+    if (!out.includes(norm)) out.push(norm);
+  }
+  return { ok: invalid.length === 0, value: out.length > 0 ? out.join(' ') : null, invalid };
+}
+
+// Origins are scheme://host[:port] with no path; "https://app.example.com/" is accepted and trimmed
+function parseOriginList(input) {
+  const out = [];
+  const invalid = [];
+  for (const entry of splitList(input)) {
+    let origin = null;
+    try {
+      const u = new URL(entry);
+      if ((u.protocol === 'https:' || u.protocol === 'http:') && (u.pathname === '/' || u.pathname === '') && !u.search && !u.hash) {
+        origin = u.origin;
+      }
+    } catch (_) {}
+    if (!origin) { invalid.push(entry); continue; }
+    if (!out.includes(origin)) out.push(origin);
+  }
+  return { ok: invalid.length === 0, value: out.length > 0 ? out.join(' ') : null, invalid };
+}
+
+// Whether the client IP falls in one of the stored CIDR ranges (unrestricted when none are stored)
+function isIpAllowed(storedCidrs, ip) {
+  const entries = splitList(storedCidrs);
+  if (entries.length === 0) return true;
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return false;
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const c = parseCidr(entry);
+    if (c) list.addSubnet(c.address, c.prefix, c.family);
+  }
+  return list.check(address, family);
+}
+
+// Whether a browser Origin is allowed. Requests without an Origin header (servers, CLIs) are not restricted by this list.
+function isOriginAllowed(storedOrigins, origin) {
+  const entries = splitList(storedOrigins);
+  if (entries.length === 0 || !origin) return true;
+  let normalized;
+  try {
+    normalized = new URL(String(origin)).origin;
+  } catch (_) {
+    return false;
+  }
+  return entries.includes(normalized);
+}
+
+module.exports = {
+  normalizeIp,
+  parseCidrList,
+  parseOriginList,
+  isIpAllowed,
+  isOriginAllowed
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { MailtrapClient } = require('mailtrap');
+const { config, isProduction } = require('../config');
+
+/*
+ * Email transports. Each one is { name, send(message) } where message is
+ * { to, subject, text, html, category, debugSummary }; send resolves with
+ * provider info and throws when the message was not accepted.
+ */
+
+function mailtrapTransport() {
+  const { token, senderEmail, senderName } = config.mailtrap;
+  const client = new MailtrapClient({ token });
+  return {
+    name: 'mailtrap',
+    send(message) {
+      return client.send({
+        from: { email: senderEmail || 'no-reply@localhost', name: senderName || 'ROMA Auth Proxy' },
+        to: [{ email: message.to }],
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        category: message.category
+      });
+    }
+  };
+}
+
+function smtpTransport() {
+  const { host, port, user, pass, from } = config.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        headers: { 'X-Category': message.category }
+      });
+      return { messageId: info.messageId, response: info.response };
+    }
+  };
+}
+
+// Writes each message as a JSON file in EMAIL_OUTBOX_DIR (tests and local inspection)
+function outboxTransport() {
+  const dir = config.email.outboxDir;
+  return {
+    name: 'outbox',
+    send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const createdAt = new Date().toISOString();
+      const file = path.join(dir, `${createdAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}.json`);
+      const { to, subject, text, html, category } = message;
+      fs.writeFileSync(file, JSON.stringify({ to, subject, text, html, category, created_at: createdAt }, null, 2));
+      return Promise.resolve({ file });
+    }
+  };
+}
+
+// Logs a one-line summary instead of sending; refused in production so secrets never reach logs or pages
+function debugTransport() {
+  return {
+    name: 'debug',
+    send(message) {
+      if (isProduction()) return Promise.reject(new Error('debug email transport is disabled in production'));
+      try { console.warn(`[DEBUG] ${message.category} email for ${message.to}: ${message.debugSummary}`); } catch (_) {}
+      return Promise.resolve(null);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  mailtrap: mailtrapTransport,
+  smtp: smtpTransport,
+  outbox: outboxTransport,
+  debug: debugTransport
+};
+
+function createTransport(name) {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown email transport: ${name}`);
+  return factory();
+}
+
+module.exports = {
+  createTransport
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+'use strict';
+
+const client = require('prom-client');
+
+// Dedicated registry so /metrics only exposes what this process registers
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'roma_proxy_process_' });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const proxyRequests = new client.Counter({
+  name: 'roma_proxy_requests_total',
+  help: 'Requests handled by the proxy router, by route group, method and status',
+  labelNames: ['route_group', 'method', 'status'],
+  registers: [registry]
+});
+
+const proxyDuration = new client.Histogram({
+  name: 'roma_proxy_request_duration_seconds',
+  help: 'Total time spent on proxied requests, including auth checks',
+  labelNames: ['route_group'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'roma_proxy_upstream_duration_seconds',
+  help: 'Time until the upstream ROMA API responded with headers',
+  labelNames: ['route_group'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'roma_proxy_upstream_errors_total',
+  help: 'Upstream failures by error code',
+  labelNames: ['route_group', 'code'],
+  registers: [registry]
+});
+
+const proxyBlocks = new client.Counter({
+  name: 'roma_proxy_blocks_total',
+  help: 'Requests rejected by the proxy before reaching upstream, by status and reason',
+  labelNames: ['status', 'reason'],
+  registers: [registry]
+});
+
+const otpSent = new client.Counter({
+  name: 'roma_otp_sent_total',
+  help: 'Login codes emailed',
+  registers: [registry]
+});
+
+const otpVerified = new client.Counter({
+  name: 'roma_otp_verified_total',
+  help: 'Login code verifications by result',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const keysCreated = new client.Counter({
+  name: 'roma_api_keys_created_total',
+  help: 'API keys created',
+  registers: [registry]
+});
+
+const keysRevoked = new client.Counter({
+  name: 'roma_api_keys_revoked_total',
+  help: 'API keys revoked, by who revoked them',
+  labelNames: ['by'],
+  registers: [registry]
+});
+
+const keyCacheLookups = new client.Counter({
+  name: 'roma_api_key_cache_lookups_total',
+  help: 'API key validations answered from the verified-key cache (hit) or by scrypt (miss)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const dbSaveDuration = new client.Histogram({
+  name: 'roma_db_save_duration_seconds',
+  help: 'Time spent exporting and writing the database file',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+module.exports = {
+  registry,
+  proxyRequests,
+  proxyDuration,
+  upstreamDuration,
+  upstreamErrors,
+  proxyBlocks,
+  otpSent,
+  otpVerified,
+  keysCreated,
+  keysRevoked,
+  keyCacheLookups,
+  dbSaveDuration
+};
\ No newline at end of file
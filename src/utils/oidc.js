@@ -0,0 +1,225 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+
+// How long a sign-in may sit at the IdP before the state cookie expires
+const OIDC_STATE_TTL_SECONDS = 10 * 60;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// issuer -> { at, value } for discovery documents and JWKS
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function getProvider(name) {
+  const providers = config.oidc || {};
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+}
+
+// Providers for the login page: [{ name, label }]
+function listProviders() {
+  return Object.values(config.oidc || {}).map((p) => ({ name: p.name, label: p.label }));
+}
+
+function redirectUri(provider) {
+  return `${config.siteBaseUrl}/auth/oidc/${provider.name}/callback`;
+}
+
+function base64urlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Email is allowed when no domains are configured or its domain is listed (subdomains do not match)
+function isEmailDomainAllowed(provider, email) {
+  const domains = provider.allowedDomains || [];
+  if (domains.length === 0) return true;
+  const domain = String(email || '').toLowerCase().split('@').pop();
+  return domains.includes(domain);
+}
+
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, Object.assign({ signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) }, options, {
+    headers: Object.assign({ Accept: 'application/json', 'User-Agent': 'crroma-proxy' }, options.headers || {})
+  }));
+  const text = await res.text();
+  let body = null;
+  try { body = text ? JSON.parse(text) : null; } catch (_) {}
+  if (!res.ok) {
+    const err = new Error(`${options.method || 'GET'} ${url} returned ${res.status}`);
+    err.status = res.status;
+    err.body = body;
+    throw err;
+  }
+  return body;
+}
+
+async function cached(cache, key, load) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < METADATA_TTL_MS) return hit.value;
+  const value = await load();
+  cache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+// OIDC discovery document; GitHub (plain OAuth) uses its fixed endpoints
+async function getMetadata(provider) {
+  if (provider.type === 'github') {
+    return { authorization_endpoint: provider.authorizationEndpoint, token_endpoint: provider.tokenEndpoint };
+  }
+  return cached(metadataCache, provider.issuer, async () => {
+    const meta = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (!meta || meta.issuer !== provider.issuer) throw new Error(`Discovery issuer mismatch for ${provider.name}`);
+    return meta;
+  });
+}
+
+// Public key for an ID token's kid, refetching the JWKS once for keys rotated since the last fetch
+async function getSigningKey(meta, kid) {
+  const find = (jwks) => (jwks && Array.isArray(jwks.keys) ? jwks.keys : [])
+    .find((k) => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+  let key = find(await cached(jwksCache, meta.jwks_uri, () => fetchJson(meta.jwks_uri)));
+  if (!key) {
+    jwksCache.delete(meta.jwks_uri);
+    key = find(await cached(jwksCache, meta.jwks_uri, () => fetchJson(meta.jwks_uri)));
+  }
+  return key ? crypto.createPublicKey({ key, format: 'jwk' }) : null;
+}
+
+/**
+ * Start a sign-in: the IdP authorization URL plus the values to keep in the state cookie.
+ * Returns { url, state, nonce, verifier }.
+ */
+async function beginLogin(provider) {
+  const meta = await getMetadata(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const verifier = randomToken();
+  const url = new URL(meta.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(provider),
+    scope: provider.scopes,
+    state,
+    code_challenge: base64urlSha256(verifier),
+    code_challenge_method: 'S256'
+  }).toString();
+  if (provider.type === 'oidc') url.searchParams.set('nonce', nonce);
+  return { url: url.toString(), state, nonce, verifier };
+}
+
+// Signed, short-lived cookie value carrying state, nonce, PKCE verifier and the post-login target
+function sealState(providerName, values) {
+  return jwt.sign({ typ: 'oidc_state', p: providerName, s: values.state, n: values.nonce, v: values.verifier, next: values.next },
+    config.jwtSecret, { expiresIn: OIDC_STATE_TTL_SECONDS });
+}
+
+// Unsealed state for this provider and callback state, or null
+function openState(sealed, providerName, state) {
+  let data;
+  try {
+    data = jwt.verify(String(sealed || ''), config.jwtSecret);
+  } catch (_) {
+    return null;
+  }
+  if (!data || data.typ !== 'oidc_state' || data.p !== providerName || !safeEqual(data.s, state)) return null;
+  return { nonce: data.n, verifier: data.v, next: data.next };
+}
+
+async function exchangeCode(provider, meta, code, verifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: verifier
+  });
+  if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+  const tokens = await fetchJson(meta.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString()
+  });
+  if (!tokens || tokens.error || !tokens.access_token) {
+    throw new Error(`Token exchange failed for ${provider.name}: ${(tokens && tokens.error) || 'no access_token'}`);
+  }
+  return tokens;
+}
+
+async function oidcIdentity(provider, meta, tokens, nonce) {
+  if (!tokens.id_token) return { ok: false, reason: 'no_id_token' };
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  const key = decoded && decoded.header ? await getSigningKey(meta, decoded.header.kid) : null;
+  if (!key) return { ok: false, reason: 'unknown_signing_key' };
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: meta.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (err) {
+    return { ok: false, reason: 'invalid_id_token', detail: err.message };
+  }
+  if (!claims.nonce || !safeEqual(claims.nonce, nonce)) return { ok: false, reason: 'nonce_mismatch' };
+
+  let email = claims.email;
+  let verified = claims.email_verified;
+  // Some IdPs leave email out of the ID token; userinfo fills it in for the same subject
+  if (!email && meta.userinfo_endpoint) {
+    const info = await fetchJson(meta.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+    if (info && info.sub === claims.sub) {
+      email = info.email;
+      verified = info.email_verified;
+    }
+  }
+  if (!email) return { ok: false, reason: 'no_email', subject: claims.sub };
+  if (verified !== true && verified !== 'true') return { ok: false, reason: 'email_unverified', subject: claims.sub, email };
+  return { ok: true, subject: String(claims.sub), email: String(email).toLowerCase() };
+}
+
+async function githubIdentity(provider, tokens) {
+  const headers = { Authorization: `Bearer ${tokens.access_token}`, 'X-GitHub-Api-Version': '2022-11-28' };
+  const user = await fetchJson(`${provider.apiBase}/user`, { headers });
+  const emails = await fetchJson(`${provider.apiBase}/user/emails`, { headers });
+  const primary = (Array.isArray(emails) ? emails : []).find((e) => e.primary && e.verified);
+  if (!primary) return { ok: false, reason: 'email_unverified', subject: user && String(user.id) };
+  return { ok: true, subject: String(user.id), email: String(primary.email).toLowerCase() };
+}
+
+/**
+ * Finish a sign-in at the callback: exchange the code (with the PKCE verifier), then check the
+ * ID token signature, issuer, audience and nonce (or read GitHub's verified primary email).
+ * Returns { ok: true, subject, email } or { ok: false, reason, email? }; network errors throw.
+ */
+async function fetchIdentity(provider, code, { nonce, verifier }) {
+  const meta = await getMetadata(provider);
+  const tokens = await exchangeCode(provider, meta, code, verifier);
+  return provider.type === 'github' ? githubIdentity(provider, tokens) : oidcIdentity(provider, meta, tokens, nonce);
+}
+
+module.exports = {
+  OIDC_STATE_TTL_SECONDS,
+  getProvider,
+  listProviders,
+  isEmailDomainAllowed,
+  beginLogin,
+  sealState,
+  openState,
+  fetchIdentity
+};
\ No newline at end of file
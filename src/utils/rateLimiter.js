@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * In-memory sliding-window rate limiter.
+ * Each bucket keeps the timestamps of hits inside the window, so a bucket never
+ * holds more than `limit` entries. State is per process.
+ */
+function createSlidingWindowLimiter(windowMs) {
+  const buckets = new Map(); // name -> number[] (ascending ms timestamps)
+  let callsSinceSweep = 0;
+
+  function prune(hits, now) {
+    const cutoff = now - windowMs;
+    let i = 0;
+    while (i < hits.length && hits[i] <= cutoff) i += 1;
+    if (i > 0) hits.splice(0, i);
+    return hits;
+  }
+
+  // Drop idle buckets now and then so the map does not grow unbounded
+  function sweep(now) {
+    for (const [name, hits] of buckets) {
+      if (prune(hits, now).length === 0) buckets.delete(name);
+    }
+  }
+
+  /**
+   * Check every { name, limit } rule and record one hit in each if all pass.
+   * Rules with a non-positive limit are skipped.
+   * Returns { ok: true } or { ok: false, rule, retryAfterSeconds }.
+   */
+  function consume(rules, now = Date.now()) {
+    callsSinceSweep += 1;
+    if (callsSinceSweep >= 1000) {
+      callsSinceSweep = 0;
+      sweep(now);
+    }
+
+    const active = rules.filter((r) => r && r.limit > 0);
+    for (const rule of active) {
+      const hits = prune(buckets.get(rule.name) || [], now);
+      if (hits.length >= rule.limit) {
+        const oldestRelevant = hits[hits.length - rule.limit];
+        const retryAfterMs = Math.max(0, oldestRelevant + windowMs - now);
+        return { ok: false, rule, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+      }
+    }
+
+    for (const rule of active) {
+      const hits = buckets.get(rule.name) || [];
+      hits.push(now);
+      buckets.set(rule.name, hits);
+    }
+    return { ok: true };
+  }
+
+  function reset() {
+    buckets.clear();
+  }
+
+  return { consume, reset };
+}
+
+module.exports = {
+  createSlidingWindowLimiter
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+'use strict';
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept client-supplied ids only if they are short and header/log safe
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware: reuse a valid incoming X-Request-Id or generate one, echo it on
+ * the response, and keep it in async context for the rest of the request.
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.requestId = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+  storage.run({ requestId: id }, next);
+}
+
+// Request id of the request being handled, or null outside a request
+function currentRequestId() {
+  const store = storage.getStore();
+  return store ? store.requestId : null;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestIdMiddleware,
+  currentRequestId
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+'use strict';
+
+const { requiredScope, FULL_ACCESS } = require('./scopes');
+
+// Path segments that are followed by an id in ROMA routes, and the placeholder used for it
+const ID_AFTER = {
+  executions: '{execution_id}',
+  checkpoints: '{checkpoint_id}',
+  'lm-traces': '{trace_id}'
+};
+
+// Fixed sub-resources that must not be mistaken for ids (e.g. lm-traces/cost-summary)
+const NOT_IDS = new Set(['cost-summary']);
+
+// Documented ROMA API routes (as route templates); other /api/v1 paths are rejected by the proxy
+const KNOWN_API_ROUTES = new Set([
+  '/api/v1/executions',
+  '/api/v1/executions/{execution_id}',
+  '/api/v1/executions/{execution_id}/status',
+  '/api/v1/executions/{execution_id}/data',
+  '/api/v1/executions/{execution_id}/cancel',
+  '/api/v1/executions/{execution_id}/checkpoints',
+  '/api/v1/executions/{execution_id}/metrics',
+  '/api/v1/executions/{execution_id}/costs',
+  '/api/v1/executions/{execution_id}/toolkit-metrics',
+  '/api/v1/executions/{execution_id}/toolkit-traces',
+  '/api/v1/executions/{execution_id}/tool-invocations',
+  '/api/v1/executions/{execution_id}/lm-traces',
+  '/api/v1/executions/{execution_id}/lm-traces/cost-summary',
+  '/api/v1/executions/{execution_id}/lm-traces/{trace_id}/prompt',
+  '/api/v1/checkpoints/{checkpoint_id}',
+  '/api/v1/checkpoints/{checkpoint_id}/restore'
+]);
+
+/**
+ * The path the upstream will act on: percent-decoded once, repeated slashes collapsed.
+ * Returns null for paths that cannot be checked safely (bad escapes, NUL, "." or ".." segments).
+ */
+function canonicalPath(rawPath) {
+  let p;
+  try {
+    p = decodeURIComponent(String(rawPath || '/'));
+  } catch (_) {
+    return null;
+  }
+  if (p.includes('\0')) return null;
+  p = `/${p}`.replace(/\/{2,}/g, '/');
+  if (p.split('/').some((seg) => seg === '.' || seg === '..')) return null;
+  return p;
+}
+
+// Paths under the ROMA API prefix (matched case-insensitively so "/API/v1" cannot slip past)
+function isApiPath(reqPath) {
+  return /^\/api\/v1(\/|$)/i.test(String(reqPath || ''));
+}
+
+// Whether a canonical path is one of the documented API routes (trailing slash allowed)
+function isKnownApiRoute(reqPath) {
+  return KNOWN_API_ROUTES.has(routeTemplate(reqPath));
+}
+
+/**
+ * Collapse a concrete path to its route template so usage can be grouped:
+ * /api/v1/executions/abc/status -> /api/v1/executions/{execution_id}/status
+ */
+function routeTemplate(reqPath) {
+  const segs = String(reqPath || '/').split('/');
+  for (let i = 1; i < segs.length; i += 1) {
+    const placeholder = ID_AFTER[segs[i - 1]];
+    if (placeholder && segs[i] && !NOT_IDS.has(segs[i])) segs[i] = placeholder;
+  }
+  const out = segs.join('/').replace(/\/+$/, '');
+  return out || '/';
+}
+
+/**
+ * Small, fixed set of labels for metrics: the scope family a route belongs to
+ * (executions, checkpoints, metrics, traces), "health", or "other".
+ */
+function routeGroup(method, reqPath) {
+  const scope = requiredScope(method, reqPath);
+  if (!scope) return 'health';
+  if (scope === FULL_ACCESS) return 'other';
+  return scope.split(':')[0];
+}
+
+module.exports = {
+  canonicalPath,
+  isApiPath,
+  isKnownApiRoute,
+  routeTemplate,
+  routeGroup
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+'use strict';
+
+// API key scopes, grouped by the ROMA route families documented on /docs
+const SCOPES = [
+  { name: 'executions:read', description: 'List executions, read details, status and data' },
+  { name: 'executions:write', description: 'Start and cancel executions' },
+  { name: 'checkpoints:read', description: 'List and read checkpoints' },
+  { name: 'checkpoints:write', description: 'Restore from checkpoints' },
+  { name: 'checkpoints:delete', description: 'Delete checkpoints' },
+  { name: 'metrics:read', description: 'Execution metrics, costs and toolkit traces' },
+  { name: 'traces:read', description: 'LM call traces and prompts' }
+];
+
+const SCOPE_NAMES = new Set(SCOPES.map((s) => s.name));
+
+// Marker for routes outside the documented groups (unrestricted keys only)
+const FULL_ACCESS = '*';
+
+const METRICS_SUFFIXES = new Set(['metrics', 'costs', 'toolkit-metrics', 'toolkit-traces', 'tool-invocations']);
+
+/**
+ * Scope required for a method + path, or null when no scope is needed.
+ * Unknown routes return FULL_ACCESS.
+ */
+function requiredScope(method, reqPath) {
+  const m = String(method || 'GET').toUpperCase();
+  const read = m === 'GET' || m === 'HEAD' || m === 'OPTIONS';
+  const p = String(reqPath || '/').replace(/\/+$/, '') || '/';
+
+  if (p === '/health') return null;
+
+  if (p === '/api/v1/executions') {
+    if (read) return 'executions:read';
+    if (m === 'POST') return 'executions:write';
+    return FULL_ACCESS;
+  }
+
+  let match = p.match(/^\/api\/v1\/executions\/[^/]+(?:\/(.*))?$/);
+  if (match) {
+    const rest = match[1] || '';
+    const head = rest.split('/')[0];
+    if (rest === '' || rest === 'status' || rest === 'data') {
+      return read ? 'executions:read' : FULL_ACCESS;
+    }
+    if (rest === 'cancel') return m === 'POST' ? 'executions:write' : FULL_ACCESS;
+    if (rest === 'checkpoints') return read ? 'checkpoints:read' : FULL_ACCESS;
+    if (METRICS_SUFFIXES.has(rest)) return read ? 'metrics:read' : FULL_ACCESS;
+    if (head === 'lm-traces') return read ? 'traces:read' : FULL_ACCESS;
+    return FULL_ACCESS;
+  }
+
+  match = p.match(/^\/api\/v1\/checkpoints\/[^/]+(?:\/(.*))?$/);
+  if (match) {
+    const rest = match[1] || '';
+    if (rest === '') {
+      if (read) return 'checkpoints:read';
+      if (m === 'DELETE') return 'checkpoints:delete';
+      return FULL_ACCESS;
+    }
+    if (rest === 'restore' && m === 'POST') return 'checkpoints:write';
+    return FULL_ACCESS;
+  }
+
+  return FULL_ACCESS;
+}
+
+// Normalize user input (array or space/comma separated string) to known scope names
+function parseScopes(input) {
+  if (input === null || input === undefined) return [];
+  const list = Array.isArray(input) ? input : String(input).split(/[\s,]+/);
+  const out = [];
+  for (const raw of list) {
+    const s = String(raw || '').trim();
+    if (SCOPE_NAMES.has(s) && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+// Stored representation: NULL for unrestricted keys
+function formatScopes(scopes) {
+  const list = parseScopes(scopes);
+  return list.length > 0 ? list.join(' ') : null;
+}
+
+// Whether a key's stored scopes grant the given required scope
+function hasScope(storedScopes, scope) {
+  if (!scope) return true;
+  if (storedScopes === null || storedScopes === undefined || storedScopes === '') return true;
+  if (scope === FULL_ACCESS) return false;
+  return parseScopes(storedScopes).includes(scope);
+}
+
+module.exports = {
+  SCOPES,
+  FULL_ACCESS,
+  requiredScope,
+  parseScopes,
+  formatScopes,
+  hasScope
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Fake ROMA upstream: creates exec-<n>, lists every execution it knows, and one checkpoint per execution
+function startUpstream() {
+  const executions = [];
+  const server = http.createServer((req, res) => {
+    const send = (body) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+    req.resume();
+    const url = req.url.split('?')[0];
+    if (req.method === 'POST' && url === '/api/v1/executions') {
+      const id = `exec-${executions.length + 1}`;
+      executions.push(id);
+      return send({ execution_id: id, status: 'queued' });
+    }
+    if (url === '/api/v1/executions') {
+      return send({ executions: executions.map((id) => ({ execution_id: id })), total: executions.length });
+    }
+    const m = url.match(/^\/api\/v1\/executions\/([^/]+)\/checkpoints$/);
+    if (m) return send({ checkpoints: [{ checkpoint_id: `cp-${m[1]}` }] });
+    return send({ ok: true, method: req.method, url });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function stop(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+const dbPath = path.join(os.tmpdir(), `roma-proxy-test-${process.pid}.sqlite`);
+let upstream;
+let proxyServer;
+let port;
+let db;
+let getTodayUsage;
+const keys = {};
+const users = {};
+
+test.before(async () => {
+  upstream = await startUpstream();
+  process.env.NODE_ENV = 'test';
+  process.env.EMAIL_TRANSPORT = 'debug';
+  process.env.DEFAULT_DAILY_LIMIT = '1000';
+  process.env.DB_DRIVER = 'sqljs';
+  process.env.DB_PATH = dbPath;
+  process.env.INTERNAL_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+
+  const express = require('express');
+  db = require('../src/db');
+  await db.initDb();
+  const { findOrCreateUserByEmail } = require('../src/models/users');
+  const { createKey } = require('../src/models/apiKeys');
+  ({ getTodayUsage } = require('../src/models/usage'));
+
+  users.a = await findOrCreateUserByEmail('a@example.com');
+  users.b = await findOrCreateUserByEmail('b@example.com');
+  keys.a = (await createKey(users.a.id, 'a')).key;
+  keys.b = (await createKey(users.b.id, 'b')).key;
+  keys.readOnly = (await createKey(users.b.id, 'ci', { scopes: ['executions:read'] })).key;
+
+  const app = express();
+  app.use(express.json());
+  app.use(require('../src/routes/proxy'));
+  proxyServer = await listen(app);
+  port = proxyServer.address().port;
+});
+
+test.after(async () => {
+  if (proxyServer) await stop(proxyServer);
+  if (upstream) await stop(upstream);
+  if (db) await db.closeDb();
+  fs.rmSync(dbPath, { force: true });
+});
+
+// Raw path option: a URL string (or fetch) would resolve "%2e%2e" segments before sending
+function call(key, urlPath, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers: { 'X-API-Key': key } }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        let body = null;
+        try { body = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch (_) {}
+        resolve({ status: res.statusCode, body });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('executions are only reachable by the user who created them', async () => {
+  const created = await call(keys.a, '/api/v1/executions', 'POST');
+  assert.equal(created.status, 200);
+  const id = created.body.execution_id;
+
+  assert.equal((await call(keys.a, `/api/v1/executions/${id}/status`)).status, 200);
+  const foreign = await call(keys.b, `/api/v1/executions/${id}/status`);
+  assert.equal(foreign.status, 404);
+  assert.equal(foreign.body.error, 'Execution not found');
+  assert.equal((await call(keys.b, `/api/v1/executions/${id}/cancel`, 'POST')).status, 404);
+});
+
+test('encoded and doubled-slash paths cannot bypass the ownership check', async () => {
+  const { body } = await call(keys.a, '/api/v1/executions', 'POST');
+  const id = body.execution_id;
+
+  assert.equal((await call(keys.b, `/api/v1/%65xecutions/${id}/status`)).status, 404);
+  assert.equal((await call(keys.b, `/api//v1//executions/${id}/status`)).status, 404);
+  assert.equal((await call(keys.b, `/api/v1/executions/${id}%2Fstatus`)).status, 404);
+  assert.equal((await call(keys.b, `/api/v1/executions/%2e%2e/checkpoints/cp-${id}`)).status, 400);
+  assert.equal((await call(keys.b, '/API/v1/executions')).status, 404);
+});
+
+test('execution lists only contain the caller\'s executions', async () => {
+  const own = await call(keys.b, '/api/v1/executions', 'POST');
+  const ownId = own.body.execution_id;
+
+  const list = await call(keys.b, '/api/v1/executions');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.executions, [{ execution_id: ownId }]);
+  assert.equal(list.body.total, 1);
+
+  const encoded = await call(keys.b, '/api/v1/%65xecutions');
+  assert.deepEqual(encoded.body.executions, [{ execution_id: ownId }]);
+});
+
+test('methods that could reach an unfiltered list are refused', async () => {
+  const res = await call(keys.a, '/api/v1/executions', 'PUT');
+  assert.equal(res.status, 405);
+});
+
+test('checkpoints open up once listed under an owned execution', async () => {
+  const { body } = await call(keys.a, '/api/v1/executions', 'POST');
+  const checkpoint = `cp-${body.execution_id}`;
+
+  assert.equal((await call(keys.a, `/api/v1/checkpoints/${checkpoint}`)).status, 404);
+  assert.equal((await call(keys.a, `/api/v1/executions/${body.execution_id}/checkpoints`)).status, 200);
+  assert.equal((await call(keys.a, `/api/v1/checkpoints/${checkpoint}`)).status, 200);
+  assert.equal((await call(keys.b, `/api/v1/checkpoints/${checkpoint}`)).status, 404);
+});
+
+test('requests blocked by ownership or scope are not charged', async () => {
+  const { body } = await call(keys.a, '/api/v1/executions', 'POST');
+  const before = await getTodayUsage(users.b.id);
+
+  assert.equal((await call(keys.b, `/api/v1/executions/${body.execution_id}`)).status, 404);
+  const scoped = await call(keys.readOnly, '/api/v1/executions', 'POST');
+  assert.equal(scoped.status, 403);
+  assert.equal(scoped.body.missing_scope, 'executions:write');
+
+  assert.deepEqual(await getTodayUsage(users.b.id), before);
+});
+
+test('scoped keys reach the routes their scopes cover', async () => {
+  assert.equal((await call(keys.readOnly, '/api/v1/executions')).status, 200);
+  const metricsCall = await call(keys.readOnly, '/api/v1/executions/exec-1/metrics');
+  assert.equal(metricsCall.status, 403);
+  assert.equal(metricsCall.body.missing_scope, 'metrics:read');
+  // Routes outside the documented groups need an unrestricted key
+  assert.equal((await call(keys.readOnly, '/status')).status, 403);
+  assert.equal((await call(keys.b, '/status')).status, 200);
+});
\ No newline at end of file
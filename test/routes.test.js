@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalPath, isApiPath, isKnownApiRoute, routeTemplate } = require('../src/utils/routes');
+
+test('canonicalPath decodes once and collapses repeated slashes', () => {
+  assert.equal(canonicalPath('/api/v1/%65xecutions'), '/api/v1/executions');
+  assert.equal(canonicalPath('/api//v1///executions/exec-1/status'), '/api/v1/executions/exec-1/status');
+  assert.equal(canonicalPath('/api/v1/executions/exec-1%2Fstatus'), '/api/v1/executions/exec-1/status');
+  // Decoded a single time: a double-encoded slash stays an escape
+  assert.equal(canonicalPath('/api/v1/executions/a%252Fb'), '/api/v1/executions/a%2Fb');
+  assert.equal(canonicalPath(''), '/');
+});
+
+test('canonicalPath rejects paths that cannot be checked safely', () => {
+  assert.equal(canonicalPath('/api/v1/executions/x/%ZZ'), null);
+  assert.equal(canonicalPath('/api/v1/executions/%00'), null);
+  assert.equal(canonicalPath('/api/v1/executions/%2e%2e/checkpoints/cp-1'), null);
+  assert.equal(canonicalPath('/api/v1/executions/../checkpoints/cp-1'), null);
+  assert.equal(canonicalPath('/api/v1/./executions'), null);
+});
+
+test('isApiPath matches the API prefix case-insensitively', () => {
+  assert.equal(isApiPath('/api/v1'), true);
+  assert.equal(isApiPath('/API/v1/executions'), true);
+  assert.equal(isApiPath('/api/v10'), false);
+  assert.equal(isApiPath('/health'), false);
+});
+
+test('isKnownApiRoute only accepts documented routes', () => {
+  assert.equal(isKnownApiRoute('/api/v1/executions'), true);
+  assert.equal(isKnownApiRoute('/api/v1/executions/'), true);
+  assert.equal(isKnownApiRoute('/api/v1/executions/exec-1/status'), true);
+  assert.equal(isKnownApiRoute('/api/v1/executions/exec-1/lm-traces/cost-summary'), true);
+  assert.equal(isKnownApiRoute('/api/v1/executions/exec-1/lm-traces/t-1/prompt'), true);
+  assert.equal(isKnownApiRoute('/api/v1/checkpoints/cp-1/restore'), true);
+  assert.equal(isKnownApiRoute('/api/v1/foo'), false);
+  assert.equal(isKnownApiRoute('/api/v1/executions/exec-1/admin'), false);
+  assert.equal(isKnownApiRoute('/API/v1/executions'), false);
+});
+
+test('routeTemplate replaces ids but not fixed sub-resources', () => {
+  assert.equal(routeTemplate('/api/v1/executions/abc/status'), '/api/v1/executions/{execution_id}/status');
+  assert.equal(routeTemplate('/api/v1/executions/abc/lm-traces/cost-summary'), '/api/v1/executions/{execution_id}/lm-traces/cost-summary');
+  assert.equal(routeTemplate('/api/v1/checkpoints/cp-1/'), '/api/v1/checkpoints/{checkpoint_id}');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FULL_ACCESS, requiredScope, hasScope, parseScopes, formatScopes } = require('../src/utils/scopes');
+
+test('requiredScope maps each route family to its scope', () => {
+  assert.equal(requiredScope('GET', '/health'), null);
+  assert.equal(requiredScope('GET', '/api/v1/executions'), 'executions:read');
+  assert.equal(requiredScope('POST', '/api/v1/executions'), 'executions:write');
+  assert.equal(requiredScope('get', '/api/v1/executions/exec-1/status/'), 'executions:read');
+  assert.equal(requiredScope('POST', '/api/v1/executions/exec-1/cancel'), 'executions:write');
+  assert.equal(requiredScope('GET', '/api/v1/executions/exec-1/checkpoints'), 'checkpoints:read');
+  assert.equal(requiredScope('GET', '/api/v1/executions/exec-1/costs'), 'metrics:read');
+  assert.equal(requiredScope('GET', '/api/v1/executions/exec-1/lm-traces/t-1/prompt'), 'traces:read');
+  assert.equal(requiredScope('GET', '/api/v1/checkpoints/cp-1'), 'checkpoints:read');
+  assert.equal(requiredScope('DELETE', '/api/v1/checkpoints/cp-1'), 'checkpoints:delete');
+  assert.equal(requiredScope('POST', '/api/v1/checkpoints/cp-1/restore'), 'checkpoints:write');
+});
+
+test('requiredScope falls back to full access for writes outside the documented groups', () => {
+  assert.equal(requiredScope('DELETE', '/api/v1/executions'), FULL_ACCESS);
+  assert.equal(requiredScope('POST', '/api/v1/executions/exec-1/status'), FULL_ACCESS);
+  assert.equal(requiredScope('GET', '/api/v1/executions/exec-1/cancel'), FULL_ACCESS);
+  assert.equal(requiredScope('GET', '/api/v1/checkpoints/cp-1/restore'), FULL_ACCESS);
+  assert.equal(requiredScope('GET', '/other'), FULL_ACCESS);
+});
+
+test('hasScope: unrestricted keys pass, restricted keys need the exact scope', () => {
+  assert.equal(hasScope(null, 'executions:write'), true);
+  assert.equal(hasScope('', FULL_ACCESS), true);
+  assert.equal(hasScope('executions:read', null), true);
+  assert.equal(hasScope('executions:read metrics:read', 'metrics:read'), true);
+  assert.equal(hasScope('executions:read', 'executions:write'), false);
+  // Restricted keys never reach routes outside the documented groups
+  assert.equal(hasScope('executions:read executions:write', FULL_ACCESS), false);
+});
+
+test('parseScopes keeps known names once, formatScopes stores NULL for none', () => {
+  assert.deepEqual(parseScopes('executions:read, bogus executions:read traces:read'), ['executions:read', 'traces:read']);
+  assert.deepEqual(parseScopes(['checkpoints:delete', '*']), ['checkpoints:delete']);
+  assert.equal(formatScopes(['metrics:read', 'executions:read']), 'metrics:read executions:read');
+  assert.equal(formatScopes('bogus'), null);
+});
\ No newline at end of file
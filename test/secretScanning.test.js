@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'test-scanning-secret';
+const dbPath = path.join(os.tmpdir(), `roma-scanning-test-${process.pid}.sqlite`);
+let server;
+let base;
+let db;
+let validateFullKey;
+let leakedKey;
+
+test.before(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.EMAIL_TRANSPORT = 'debug';
+  process.env.DB_DRIVER = 'sqljs';
+  process.env.DB_PATH = dbPath;
+  process.env.SECRET_SCANNING_SECRET = SECRET;
+
+  const express = require('express');
+  db = require('../src/db');
+  await db.initDb();
+  const { findOrCreateUserByEmail } = require('../src/models/users');
+  const apiKeys = require('../src/models/apiKeys');
+  validateFullKey = apiKeys.validateFullKey;
+
+  const user = await findOrCreateUserByEmail('owner@example.com');
+  leakedKey = (await apiKeys.createKey(user.id, 'leaked')).key;
+
+  const app = express();
+  app.use('/webhooks/secret-scanning', require('../src/routes/secretScanning'));
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}/webhooks/secret-scanning`;
+});
+
+test.after(async () => {
+  if (server) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+  if (db) await db.closeDb();
+  fs.rmSync(dbPath, { force: true });
+});
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function report(body, signature) {
+  const headers = { 'content-type': 'application/json' };
+  if (signature !== undefined) headers['x-signature-256'] = signature;
+  const res = await fetch(base, { method: 'POST', headers, body });
+  return { status: res.status, body: await res.json() };
+}
+
+test('reports without a valid signature are rejected', async () => {
+  const body = JSON.stringify([{ token: leakedKey, type: 'roma_api_key' }]);
+
+  assert.equal((await report(body)).status, 401);
+  assert.equal((await report(body, sign(body, 'other-secret'))).status, 401);
+  assert.equal((await report(body, sign(`${body} `))).status, 401);
+  assert.equal((await report(body, sign(body).replace('sha256=', 'sha1='))).status, 401);
+  assert.equal((await report(body, 'sha256=abc')).status, 401);
+  assert.equal((await validateFullKey(leakedKey)).ok, true);
+});
+
+test('a signed report revokes the leaked key', async () => {
+  const body = JSON.stringify({ token: leakedKey, type: 'roma_api_key', url: 'https://example.com/commit/1' });
+
+  const res = await report(body, sign(body));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 1);
+  assert.equal(res.body[0].label, 'true_positive');
+  assert.equal(res.body[0].token_hash, crypto.createHash('sha256').update(leakedKey).digest('hex'));
+  assert.equal((await validateFullKey(leakedKey)).ok, false);
+});
+
+test('tokens that are not live keys are reported as false positives', async () => {
+  const body = JSON.stringify([{ token: 'not-a-key' }, { token: 'roma_00000000.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' }]);
+  const res = await report(body, sign(body));
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map((r) => r.label), ['false_positive', 'false_positive']);
+});
\ No newline at end of file